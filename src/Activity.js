@@ -0,0 +1,152 @@
+export default class WakaActivity {
+  static DEFAULT_IDLE_TIMEOUT = 5; // minutes
+  static INPUT_EVENTS = [
+    "keydown",
+    "pointerdown",
+    "touchstart",
+    "wheel",
+    "scroll",
+    "selectionchange",
+  ];
+
+  #ctx;
+  #isIdle = false;
+  #activeSince = Date.now();
+  #lastActivity = Date.now();
+  #activeTime = 0;
+  #idleTimer = null;
+  #onIdle = () => {};
+  #onActive = () => {};
+  #handleInputEvent;
+  #handleVisibilityEvent;
+  #handlePauseEvent;
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+    this.#handleInputEvent = this.#handleInput.bind(this);
+    this.#handleVisibilityEvent = this.#handleVisibility.bind(this);
+    this.#handlePauseEvent = this.#handlePause.bind(this);
+
+    for (const event of WakaActivity.INPUT_EVENTS) {
+      document.addEventListener(event, this.#handleInputEvent, {
+        capture: true,
+        passive: true,
+      });
+    }
+    document.addEventListener("visibilitychange", this.#handleVisibilityEvent);
+    // Cordova app lifecycle
+    document.addEventListener("pause", this.#handlePauseEvent);
+    document.addEventListener("resume", this.#handleInputEvent);
+
+    this.#scheduleIdleCheck(this.idleTimeout);
+  }
+
+  /**
+   * Called with the time of the last activity when the user goes idle
+   */
+  set onIdle(v) {
+    this.#onIdle = v;
+  }
+
+  /**
+   * Called when the user is back from idle
+   */
+  set onActive(v) {
+    this.#onActive = v;
+  }
+
+  /**
+   * Idle timeout in milliseconds
+   * @returns {number} The timeout
+   */
+  get idleTimeout() {
+    const minutes = Number(this.#ctx.settings.idleTimeout);
+    return (minutes > 0 ? minutes : WakaActivity.DEFAULT_IDLE_TIMEOUT) * 60000;
+  }
+
+  get isIdle() {
+    return this.#isIdle;
+  }
+
+  get lastActivity() {
+    return this.#lastActivity;
+  }
+
+  /**
+   * Time spent active since the plugin loaded, idle spans excluded
+   * @returns {number} Active time in milliseconds
+   */
+  get activeTime() {
+    if (this.#isIdle) return this.#activeTime;
+    return this.#activeTime + (Date.now() - this.#activeSince);
+  }
+
+  /**
+   * Record user activity
+   */
+  touch() {
+    this.#lastActivity = Date.now();
+    if (!this.#isIdle) return;
+
+    this.#isIdle = false;
+    this.#activeSince = this.#lastActivity;
+    this.#scheduleIdleCheck(this.idleTimeout);
+    this.#onActive();
+  }
+
+  #handleInput() {
+    this.touch();
+  }
+
+  #handleVisibility() {
+    if (document.visibilityState === "hidden") {
+      this.#goIdle();
+    } else {
+      this.touch();
+    }
+  }
+
+  #handlePause() {
+    this.#goIdle();
+  }
+
+  #scheduleIdleCheck(delay) {
+    clearTimeout(this.#idleTimer);
+    this.#idleTimer = setTimeout(() => this.#checkIdle(), delay);
+  }
+
+  #checkIdle() {
+    const remaining = this.#lastActivity + this.idleTimeout - Date.now();
+    if (remaining > 0) {
+      this.#scheduleIdleCheck(remaining);
+      return;
+    }
+    this.#goIdle();
+  }
+
+  #goIdle() {
+    if (this.#isIdle) return;
+    clearTimeout(this.#idleTimer);
+    this.#idleTimer = null;
+
+    // The idle time before the timeout is not active time
+    this.#isIdle = true;
+    this.#activeTime += Math.max(0, this.#lastActivity - this.#activeSince);
+    this.#onIdle(this.#lastActivity);
+  }
+
+  destroy() {
+    clearTimeout(this.#idleTimer);
+    for (const event of WakaActivity.INPUT_EVENTS) {
+      document.removeEventListener(event, this.#handleInputEvent, {
+        capture: true,
+      });
+    }
+    document.removeEventListener(
+      "visibilitychange",
+      this.#handleVisibilityEvent,
+    );
+    document.removeEventListener("pause", this.#handlePauseEvent);
+    document.removeEventListener("resume", this.#handleInputEvent);
+  }
+}
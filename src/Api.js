@@ -1,18 +1,35 @@
 import plugin from "../plugin.json";
+import WakaCategory from "./Category.js";
+import WakaDependencies from "./Dependencies.js";
+import WakaEditor from "./Editor.js";
+import WakaEmitter from "./Emitter.js";
+import WakaGit from "./Git.js";
+import WakaLanguage from "./Language.js";
 import WakaLogger from "./Logger.js";
+import WakaProject from "./Project.js";
 import Queue from "./Queue.js";
+import WakaStats from "./Stats.js";
 
-const Fs = acode.require("fs");
 const Url = acode.require("url");
 
-// TODO: Save heartbeat's in Queue even if no ApiKey
-// And send them all when the ApiKey is exist.
-export default class WakaAPI {
+/**
+ * Exposed to other plugins as the `wakatime` module, see the readme for its
+ * events. `status:changed` also fires when sending was rate limited, and
+ * `file:changed` with each new active file.
+ */
+export default class WakaAPI extends WakaEmitter {
   static QUEUE_STORAGE_KEY = "wakatime_heartbeat_queue";
+  static HEARTBEAT_VERSION = 2;
+  static UNTITLED_ENTITY_PREFIX = "untitled:";
+  static HEARTBEAT_TYPES = ["file", "app", "domain", "url"];
+  static MAX_ENTITY_LENGTH = 2048;
+  static TERMINAL_ENTITY = "Terminal";
   static API_BASE_URL = "https://api.wakatime.com/api/v1";
   static HEARTBEAT_TIMEOUT = 120000; // 2 minutes
   static HEARTBEAT_WRITE_TIMEOUT = 30000; // 30 seconds
   static EDITOR_CHANGE_DEBOUNCE = 2000; // 2 seconds
+  static EDITOR_ACTIVITY_DEBOUNCE = 1000; // 1 second
+  static RATE_LIMIT_DEFAULT_DELAY = 60000; // 1 minute
   static CATEGORY_TYPES = [
     "coding",
     "building",
@@ -35,33 +52,71 @@ export default class WakaAPI {
   #ctx;
   #offlineStorage;
   #queue;
+  #stats;
+  #git = new WakaGit();
+  #project = new WakaProject(this.#git);
+  #editor = new WakaEditor();
+  #dependencies = new WakaDependencies();
   #editorChangeTimer = null;
+  #editorActivityTimer = null;
   #lastHeartbeat = {
     fileUri: null,
     project: null,
     timestamp: 0,
+    isWrite: false,
   };
   #handleFileSwitchEvent;
-  #handleEditorChangeEvent;
-  #category = WakaAPI.CATEGORY_TYPES[0];
+  #handleFileSaveEvent;
+  #handleKeyDownEvent;
+  #handleQueueFailedEvent;
+  // Queue items to the heartbeats last sent for them
+  #heartbeatOf = new WeakMap();
+  #category = null;
+  #authRejected = false;
+  #rateLimitedUntil = 0;
+  #trackingPaused = false;
   totalHeartbeats = 0;
 
   constructor(ctx, offlineStorage) {
+    super();
     this.#ctx = ctx;
     this.#offlineStorage = offlineStorage;
+    this.#stats = new WakaStats(ctx, this);
 
     this.#offlineStorage.callback = this.#sendHeartbeat.bind(this);
+    this.#ctx.pending.callback = (batch) => this.#queue.requeue(batch);
+
     this.#queue = new Queue(
       WakaAPI.QUEUE_STORAGE_KEY,
       this.#sendHeartbeat.bind(this),
+      { deadLetter: this.#ctx.deadLetter },
     );
 
+    const upgrade = this.#upgradeHeartbeat.bind(this);
+    this.#queue.migrate(upgrade);
+    this.#offlineStorage.migrate(upgrade);
+    this.#ctx.pending.migrate(upgrade);
+
     this.#handleFileSwitchEvent = this.#handleFileSwitch.bind(this);
-    this.#handleEditorChangeEvent = this.#handleEditorChange.bind(this);
+    this.#handleFileSaveEvent = this.#handleFileSave.bind(this);
+    this.#handleKeyDownEvent = this.#handleKeyDown.bind(this);
+    this.#handleQueueFailedEvent = this.#handleQueueFailed.bind(this);
+    this.#queue.on("queue:failed", this.#handleQueueFailedEvent);
+    this.#offlineStorage.on("queue:failed", this.#handleQueueFailedEvent);
+    this.#editor.onChange = this.#handleEditorChange.bind(this);
+    this.#editor.onActivity = this.#handleEditorActivity.bind(this);
+    this.#editor.onRebind = (editor) => this.emit("editor:changed", editor);
+    this.#ctx.activity.onIdle = this.#handleIdle.bind(this);
+    this.#ctx.activity.onActive = this.#handleActive.bind(this);
 
     editorManager.on("switch-file", this.#handleFileSwitchEvent);
-    this.#attachEditorChangeListener();
+    editorManager.on("save-file", this.#handleFileSaveEvent);
+    document.addEventListener("keydown", this.#handleKeyDownEvent, {
+      capture: true,
+      passive: true,
+    });
     this.#offlineStorage.scheduleProcessing();
+    if (this.#ctx.apiKey) this.flushPending();
   }
 
   get lastHeartbeat() {
@@ -72,43 +127,79 @@ export default class WakaAPI {
     return this.#queue;
   }
 
+  /**
+   * Read-only client of the stats endpoints
+   * @returns {WakaStats} The client
+   */
+  get stats() {
+    return this.#stats;
+  }
+
   get apiBaseUrl() {
     return this.#ctx.endpointKey ?? WakaAPI.API_BASE_URL;
   }
 
-  get category() {
-    return this.#category;
+  get isAuthRejected() {
+    return this.#authRejected;
   }
 
-  set category(v) {
-    if (WakaAPI.CATEGORY_TYPES.indexOf(v.toLowerCase()) !== -1) {
-      this.#category = v.toLowerCase();
-    }
+  /**
+   * @returns {boolean} True while no heartbeat is recorded
+   */
+  get isTrackingPaused() {
+    return this.#trackingPaused;
   }
 
-  get #isCodeMirror() {
-    return !!editorManager.isCodeMirror;
+  /**
+   * A rejected API key pauses the queues too, it is not a rate limit
+   * @returns {number|null} Timestamp of the end of the 429 pause, if any
+   */
+  get rateLimitedUntil() {
+    return this.#rateLimitedUntil > Date.now() ? this.#rateLimitedUntil : null;
   }
 
-  #attachEditorChangeListener() {
-    if (this.#isCodeMirror) {
-      // CodeMirror 6
-      editorManager.on("file-content-changed", this.#handleEditorChangeEvent);
-    } else {
-      // Ace editor
-      editorManager.editor.on("change", this.#handleEditorChangeEvent);
-    }
+  /**
+   * The manual category, `auto` while the rules pick one
+   * @returns {string} The category
+   */
+  get category() {
+    if (this.#category) return this.#category;
+    if (this.#ctx.category.enabled) return WakaCategory.AUTO;
+    return WakaAPI.CATEGORY_TYPES[0];
   }
 
-  #detachEditorChangeListener() {
-    if (this.#isCodeMirror) {
-      editorManager.off("file-content-changed", this.#handleEditorChangeEvent);
+  set category(v) {
+    const category = v?.toLowerCase();
+    if (category === WakaCategory.AUTO) {
+      this.#category = null;
+    } else if (WakaAPI.CATEGORY_TYPES.indexOf(category) !== -1) {
+      this.#category = category;
     } else {
-      editorManager.editor.off("change", this.#handleEditorChangeEvent);
+      return;
     }
+    this.emit("category:changed", this.category);
+  }
+
+  /**
+   * Category of a heartbeat, the manual category wins over the rules
+   * @param {Object} file - The editor file
+   * @param {string} entity - The heartbeat entity
+   * @returns {string} The category
+   */
+  getCategory(file, entity) {
+    return (
+      this.#category ??
+      this.#ctx.category.detect(file, entity) ??
+      WakaAPI.CATEGORY_TYPES[0]
+    );
   }
 
   async #handleFileSwitch(file) {
+    this.emit("file:changed", file);
+    if (WakaCategory.isTerminalFocused(file)) {
+      if (this.#isTerminalTracked()) await this.#addTerminalHeartbeat(file);
+      return;
+    }
     if (!this.isValidFile(file)) return;
     if (this.#editorChangeTimer) {
       clearTimeout(this.#editorChangeTimer);
@@ -117,6 +208,73 @@ export default class WakaAPI {
     await this.#addHeartbeat(file, false);
   }
 
+  async #handleFileSave(file) {
+    if (!this.isValidFile(file)) return;
+    if (this.#editorChangeTimer) {
+      clearTimeout(this.#editorChangeTimer);
+      this.#editorChangeTimer = null;
+    }
+    await this.#addHeartbeat(file, true);
+  }
+
+  /**
+   * Typing in a terminal tab or the console, the editor sees none of it
+   */
+  #handleKeyDown() {
+    const file = editorManager.activeFile;
+    if (!WakaCategory.isTerminalFocused(file) || !this.#isTerminalTracked())
+      return;
+    this.#addTerminalHeartbeat(file);
+  }
+
+  /**
+   * Terminal time is only tracked for a `terminal` category rule, once a
+   * tracked file gave it a project
+   * @returns {boolean} True if terminal heartbeats are sent
+   */
+  #isTerminalTracked() {
+    const category = this.#ctx.category;
+    return (
+      category.enabled &&
+      !!this.#lastHeartbeat.project &&
+      category.rules.some(
+        ({ pattern }) => pattern === WakaCategory.TERMINAL_RULE,
+      )
+    );
+  }
+
+  /**
+   * Terminals have no file, their time is an `app` heartbeat of the project
+   * of the last file. The `terminal` category rule applies to it.
+   * @param {Object} [file] - The active terminal tab
+   */
+  async #addTerminalHeartbeat(file) {
+    const entity = WakaAPI.TERMINAL_ENTITY;
+    try {
+      await this.sendHeartbeat({
+        entity,
+        type: "app",
+        category: this.getCategory(file, entity),
+        project: this.#lastHeartbeat.project,
+      });
+    } catch (error) {
+      WakaLogger.error("Failed to add terminal heartbeat", error);
+    }
+  }
+
+  /**
+   * Reading counts too: cursor moves, selections and scrolling
+   */
+  #handleEditorActivity() {
+    const file = editorManager.activeFile;
+    if (!this.isValidFile(file)) return;
+    if (this.#editorActivityTimer) clearTimeout(this.#editorActivityTimer);
+    this.#editorActivityTimer = setTimeout(() => {
+      this.#addHeartbeat(file, false);
+      this.#editorActivityTimer = null;
+    }, WakaAPI.EDITOR_ACTIVITY_DEBOUNCE);
+  }
+
   async #handleEditorChange(changes) {
     const file = editorManager.activeFile;
     if (!this.isValidFile(file)) return;
@@ -127,86 +285,240 @@ export default class WakaAPI {
     }, WakaAPI.EDITOR_CHANGE_DEBOUNCE);
   }
 
-  #getEditorStats(file) {
-    if (this.#isCodeMirror) {
-      // CodeMirror 6
-      const view = editorManager.editor;
-      const state = view.state;
-      const selection = state.selection.main;
-      const line = state.doc.lineAt(selection.head);
-      return {
-        lines: state.doc.lines,
-        line: line.number,
-        cursorpos: selection.head - line.from + 1,
-      };
-    } else {
-      // Ace editor
-      const pos = file.session.selection.getCursor();
-      return {
-        lines: file.session.getLength(),
-        line: pos.row + 1,
-        cursorpos: pos.column + 1,
-      };
-    }
+  /**
+   * Close the session with a heartbeat at the time of the last activity
+   */
+  async #handleIdle(lastActivity) {
+    this.emit("idle", { lastActivity });
+    const file = editorManager.activeFile;
+    if (!this.isValidFile(file)) return;
+    await this.#addHeartbeat(file, false, {
+      timestamp: lastActivity,
+      force: true,
+    });
   }
 
-  #addHeartbeat(file, isWrite) {
-    if (!this.#ctx.apiKey) return;
-    const project = this.getProjectName(file);
-    const timestamp = Date.now();
-    if (this.isDuplicateHeartbeat(file.uri, isWrite, project, timestamp))
+  /**
+   * Open a new session when the user is back
+   */
+  async #handleActive() {
+    this.emit("active");
+    const file = editorManager.activeFile;
+    if (!this.isValidFile(file)) return;
+    await this.#addHeartbeat(file, false, { force: true });
+  }
+
+  /**
+   * @param {Object} file - The editor file
+   * @param {boolean} isWrite - True if the file was changed
+   * @param {Object} [options]
+   * @param {number} [options.timestamp] - Time of the heartbeat, now if omitted
+   * @param {boolean} [options.force] - Skip the duplicate check
+   */
+  async #addHeartbeat(file, isWrite, { timestamp = Date.now(), force } = {}) {
+    if (this.#trackingPaused) return;
+    const entity = this.getEntity(file);
+    if (this.#ctx.config.isExcluded(entity)) return;
+    const project = await this.getProjectName(file);
+    if (
+      !force &&
+      this.isDuplicateHeartbeat(entity, isWrite, project, timestamp)
+    )
       return;
 
-    const { lines, line, cursorpos } = this.#getEditorStats(file);
+    this.#lastHeartbeat = { fileUri: entity, project, timestamp, isWrite };
+    const { lines, line, cursorpos } = this.#editor.getStats(file);
+    const mode = this.#editor.getLanguage(file);
 
-    this.#queue.add(
+    // Everything is resolved now, a heartbeat sent later must not pick up
+    // the branch or category of that later time
+    await this.#queueHeartbeat(
       {
-        file: {
-          uri: file.uri,
-          lines,
-          line,
-          cursorpos,
-          language: this.getFileLanguage(file),
-        },
+        entity,
+        type: "file",
+        category: this.getCategory(file, entity),
+        time: Math.floor(timestamp / 1000),
+        is_write: isWrite,
+        plugin: this.getPlugin(),
+        language: this.#ctx.language.resolve(file, mode),
+        lines,
+        lineno: line,
+        cursorpos,
         project,
-        isWrite,
+        branch: await this.getBranch(file),
+        machine: this.getMachineName(),
+        user_agent: this.getUserAgent(),
+        alternate_language: this.getAlternateLanguage(file, mode),
+        alternate_project: this.getAlternateProject(file, project),
+        dependencies: this.#dependencies.extract(
+          this.#editor.getContent(file),
+          file.filename ?? file.uri,
+        ),
       },
       timestamp,
     );
-    this.#offlineStorage.scheduleProcessing();
   }
 
-  async #sendHeartbeat(batch, offline = true) {
-    batch = Array.isArray(batch) ? batch : [batch];
-    const heartbeats = await Promise.all(
-      batch.map(async ({ data, timestamp }) => ({
-        entity: data.file.uri,
+  /**
+   * The `wakatime` module of other plugins, with the documented members
+   * only. They can't emit events or remove the listeners of the sidebar.
+   * @returns {{on: Function, off: Function, sendHeartbeat: Function}}
+   */
+  createModule() {
+    return Object.freeze({
+      on: (event, listener) => this.on(event, listener),
+      off: (event, listener) => this.off(event, listener),
+      sendHeartbeat: (options) => this.sendHeartbeat(options),
+    });
+  }
+
+  /**
+   * Submit a heartbeat of another plugin, e.g. a terminal or a REST client.
+   * The same duplicate rules as for files apply.
+   * @param {Object} options
+   * @param {string} options.entity - A file uri, app name, domain or url
+   * @param {string} [options.type] - One of `WakaAPI.HEARTBEAT_TYPES`
+   * @param {string} [options.category] - One of `WakaAPI.CATEGORY_TYPES`,
+   * else the category of the sidebar or the rules
+   * @param {string} [options.project] - Resolved from the entity for files
+   * @param {string} [options.language] - The language name
+   * @param {boolean} [options.isWrite] - True if something was changed
+   * @returns {Promise<boolean>} True if queued, false if skipped as a
+   * duplicate or excluded file, or while tracking is paused
+   */
+  async sendHeartbeat({
+    entity,
+    type = WakaAPI.HEARTBEAT_TYPES[0],
+    category,
+    project,
+    language,
+    isWrite = false,
+  } = {}) {
+    if (typeof entity !== "string" || !entity.trim()) {
+      throw new TypeError("Heartbeat entity must be a non-empty string");
+    }
+    if (entity.length > WakaAPI.MAX_ENTITY_LENGTH) {
+      throw new TypeError("Heartbeat entity is too long");
+    }
+    if (!WakaAPI.HEARTBEAT_TYPES.includes(type)) {
+      throw new TypeError(`Invalid heartbeat type: ${type}`);
+    }
+    const categoryName = category?.toLowerCase();
+    if (category != null && !WakaAPI.CATEGORY_TYPES.includes(categoryName)) {
+      throw new TypeError(`Invalid heartbeat category: ${category}`);
+    }
+    for (const [name, value] of Object.entries({ project, language })) {
+      if (value != null && typeof value !== "string") {
+        throw new TypeError(`Heartbeat ${name} must be a string`);
+      }
+    }
+
+    if (this.#trackingPaused) return false;
+    const isFile = type === "file";
+    const timestamp = Date.now();
+    const file = isFile ? { uri: entity } : null;
+    if (isFile && this.#ctx.config.isExcluded(entity)) return false;
+
+    const projectName =
+      project || (isFile ? await this.getProjectName(file) : null);
+    if (this.isDuplicateHeartbeat(entity, !!isWrite, projectName, timestamp))
+      return false;
+    this.#lastHeartbeat = {
+      fileUri: entity,
+      project: projectName,
+      timestamp,
+      isWrite: !!isWrite,
+    };
+
+    await this.#queueHeartbeat(
+      {
+        entity,
+        type,
+        category: categoryName ?? this.getCategory(file, entity),
+        time: Math.floor(timestamp / 1000),
+        is_write: !!isWrite,
+        plugin: this.getPlugin(),
+        language:
+          language ?? (isFile ? this.#ctx.language.resolve(file) : null),
+        project: projectName,
+        branch: isFile ? await this.getBranch(file) : null,
+        machine: this.getMachineName(),
+        user_agent: this.getUserAgent(),
+      },
+      timestamp,
+    );
+    return true;
+  }
+
+  /**
+   * Filter a heartbeat for privacy, keep it in the history and queue it
+   * @param {Object} heartbeat - The heartbeat payload
+   * @param {number} timestamp - Time of the heartbeat
+   */
+  async #queueHeartbeat(heartbeat, timestamp) {
+    const data = {
+      version: WakaAPI.HEARTBEAT_VERSION,
+      heartbeat: await this.#ctx.privacy.apply(heartbeat),
+    };
+    // Not awaited, queueing must not wait for a slow or blocked database
+    this.#ctx.history.add(data.heartbeat);
+
+    if (!this.#ctx.apiKey) {
+      // Kept until an API key is entered
+      this.#ctx.pending.add(data, timestamp);
+    } else {
+      this.#queue.add(data, timestamp);
+      this.#offlineStorage.scheduleProcessing();
+    }
+    this.emit("heartbeat:queued", data.heartbeat);
+  }
+
+  /**
+   * Upgrade queued heartbeat data to the current version
+   * @param {Object} data - The queued data
+   * @param {number} timestamp - Time of the heartbeat
+   * @returns {Promise<Object>} The upgraded data, or `data` when current
+   */
+  async #upgradeHeartbeat(data, timestamp) {
+    if (data?.version === WakaAPI.HEARTBEAT_VERSION) return data;
+
+    // Version 1 stored the editor state only, the rest was resolved when
+    // sending. The current values are the best guess left for those.
+    const { file, project, isWrite } = data;
+    return {
+      version: WakaAPI.HEARTBEAT_VERSION,
+      heartbeat: {
+        entity: file.uri,
         type: "file",
-        category: this.category,
+        category: this.getCategory(null, file.uri),
         time: Math.floor(timestamp / 1000),
-        is_write: data.isWrite,
+        is_write: isWrite,
         plugin: this.getPlugin(),
-        language: data.file.language,
-        lines: data.file.lines,
-        lineno: data.file.line,
-        cursorpos: data.file.cursorpos,
-        project: data.project,
-        branch: await this.getBranch(data.file),
+        language: file.language,
+        lines: file.lines,
+        lineno: file.line,
+        cursorpos: file.cursorpos,
+        project,
+        branch: await this.getBranch(file),
         machine: this.getMachineName(),
         user_agent: this.getUserAgent(),
-        // TDOD
         alternate_language: null,
         alternate_project: null,
         dependencies: null,
-      })),
-    );
-
-    const lastHeartbeat = batch[batch.length - 1];
-    this.#lastHeartbeat = {
-      fileUri: lastHeartbeat.data.file.uri,
-      project: lastHeartbeat.data.project,
-      timestamp: lastHeartbeat.timestamp,
+      },
     };
+  }
+
+  async #sendHeartbeat(batch, offline = true) {
+    batch = Array.isArray(batch) ? batch : [batch];
+    // Items requeued from the dead-letter store may predate the migration
+    const heartbeats = await Promise.all(
+      batch.map(
+        async ({ data, timestamp }) =>
+          (await this.#upgradeHeartbeat(data, timestamp)).heartbeat,
+      ),
+    );
+    batch.forEach((item, i) => this.#heartbeatOf.set(item, heartbeats[i]));
 
     try {
       const response = await fetch(
@@ -221,42 +533,205 @@ export default class WakaAPI {
           body: JSON.stringify(heartbeats),
         },
       );
+      if (response.status === 429) {
+        const retryAt = WakaAPI.parseRetryAfter(
+          response.headers.get("Retry-After"),
+        );
+        this.#rateLimitedUntil = retryAt;
+        this.#pauseQueues(retryAt);
+        throw new Error(
+          `API rate limited, retry after ${new Date(retryAt).toLocaleTimeString()}`,
+        );
+      }
+      if (response.status === 401 || response.status === 403) {
+        // Keep the heartbeats and stop sending until the key changes
+        this.#authRejected = true;
+        this.#pauseQueues();
+        this.emit("auth:changed", { rejected: true });
+        throw new Error(`API key rejected, status: ${response.status}`);
+      }
       if (!response.ok) {
-        if (!this.#offlineStorage.isConnected && offline) {
-          batch.forEach(({ data, timestamp }) =>
-            this.#offlineStorage.add(data, timestamp),
-          );
-        }
         throw new Error(`API Error, status: ${response.status}`);
       }
 
-      this.totalHeartbeats += heartbeats.length;
-      WakaLogger.success(
-        `(${heartbeats.length}) Heartbeats`,
-        (await response.json())?.responses,
-      );
+      const responses = (await response.json().catch(() => null))?.responses;
+      const result = this.#checkResponses(batch, responses);
+      const accepted =
+        batch.length - result.retry.length - result.rejected.length;
+
+      this.totalHeartbeats += accepted;
+      WakaLogger.success(`(${accepted}) Heartbeats`, responses);
+      if (result.rejected.length > 0) {
+        WakaLogger.warning(
+          `(${result.rejected.length}) Heartbeats rejected`,
+          result.rejected.map(({ error }) => error.message),
+        );
+      }
+      this.#emitResult(batch, heartbeats, result);
+      return result;
     } catch (error) {
       WakaLogger.error(null, error);
       if (!this.#offlineStorage.isConnected && offline) {
-        batch.forEach(({ data, timestamp }) =>
-          this.#offlineStorage.add(data, timestamp),
+        // Handed over to the offline queue, which sends it once reconnected
+        this.emit("heartbeat:failed", { heartbeats, error, willRetry: true });
+        batch.forEach(({ id, data, timestamp }) =>
+          this.#offlineStorage.add(data, timestamp, id),
         );
+        return;
       }
+      // Let the queue retry the batch with backoff, see #handleQueueFailed
       throw error;
     }
   }
 
+  /**
+   * Split a batch by the per-heartbeat statuses of a bulk response
+   * @param {Array} batch - The sent queue items
+   * @param {Array} [responses] - `[body, status]` pair for each heartbeat
+   * @returns {{retry: Array, rejected: Array}} Items that were not accepted
+   */
+  #checkResponses(batch, responses) {
+    const retry = [];
+    const rejected = [];
+    if (!Array.isArray(responses)) return { retry, rejected };
+
+    batch.forEach((item, i) => {
+      const [body, status] = Array.isArray(responses[i]) ? responses[i] : [];
+      if (!status || (status >= 200 && status < 300)) return;
+
+      const message =
+        body?.error ??
+        (body?.errors ? JSON.stringify(body.errors) : `status: ${status}`);
+      const error = new Error(`Heartbeat Error, ${message}`);
+
+      if (status === 429 || status >= 500) {
+        retry.push({ item, error });
+      } else {
+        rejected.push({ item, error });
+      }
+    });
+    return { retry, rejected };
+  }
+
+  /**
+   * Heartbeats that were not accepted are reported by the queue once it
+   * decided to retry them or not
+   */
+  #emitResult(batch, heartbeats, { retry, rejected }) {
+    const failed = new Set([...retry, ...rejected].map(({ item }) => item));
+    const sent = heartbeats.filter((_, i) => !failed.has(batch[i]));
+
+    if (sent.length > 0) {
+      this.emit("heartbeat:sent", {
+        heartbeats: sent,
+        accepted: sent.length,
+        rejected: rejected.length,
+      });
+    }
+    if (
+      retry.length === 0 &&
+      this.#queue.length === 0 &&
+      this.#offlineStorage.length === 0
+    ) {
+      this.emit("queue:flushed");
+    }
+  }
+
+  #handleQueueFailed({ items, error, willRetry }) {
+    this.emit("heartbeat:failed", {
+      heartbeats: items.map((item) => this.#heartbeatOf.get(item)),
+      error,
+      willRetry,
+    });
+  }
+
+  #pauseQueues(until) {
+    this.#queue.pause(until);
+    this.#offlineStorage.pause(until);
+    this.emit("status:changed");
+  }
+
+  /**
+   * Resume sending after the API key or endpoint changed
+   */
+  resetAuth() {
+    this.#stats.clearCache();
+    if (this.#authRejected) {
+      this.#authRejected = false;
+      this.#queue.resume();
+      this.#offlineStorage.resume();
+    }
+    this.emit("auth:changed", { rejected: false });
+    this.emit("status:changed");
+  }
+
+  /**
+   * Stop recording heartbeats, queued ones are still sent
+   */
+  pauseTracking() {
+    if (this.#trackingPaused) return;
+    this.#trackingPaused = true;
+    this.emit("tracking:changed", { paused: true });
+    this.emit("status:changed");
+  }
+
+  /**
+   * Record heartbeats again, starting with the active file
+   */
+  resumeTracking() {
+    if (!this.#trackingPaused) return;
+    this.#trackingPaused = false;
+    this.emit("tracking:changed", { paused: false });
+    this.emit("status:changed");
+    const file = editorManager.activeFile;
+    if (this.isValidFile(file)) this.#addHeartbeat(file, false);
+  }
+
+  /**
+   * Move the heartbeats recorded without an API key into the queue
+   * @returns {Promise} Processing result
+   */
+  async flushPending() {
+    if (!this.#ctx.apiKey || this.#ctx.pending.isEmpty) return;
+    return await this.#ctx.pending.flush();
+  }
+
+  /**
+   * Move all dead-letter heartbeats back into the queue
+   * @returns {number} Number of heartbeats requeued
+   */
+  retryFailed() {
+    const items = this.#ctx.deadLetter.take();
+    this.#queue.requeue(items);
+    return items.length;
+  }
+
   isValidFile(file) {
-    return (
-      file && window.addedFolder.some((dir) => file.uri?.includes(dir.url))
-    );
+    if (!file) return false;
+    if (WakaProject.findFolder(file.uri)) return true;
+    // Files outside of the added folders, only text files have a session
+    return !!this.#ctx.settings.trackAllFiles && !!file.session;
+  }
+
+  /**
+   * Get the heartbeat entity of a file, unsaved buffers have no uri yet
+   * @param {Object} file - The editor file
+   * @returns {string} The entity
+   */
+  getEntity(file) {
+    return file.uri ?? `${WakaAPI.UNTITLED_ENTITY_PREFIX}${file.filename}`;
   }
 
   isDuplicateHeartbeat(fileUri, isWrite, project, timestamp) {
     if (!this.lastHeartbeat.fileUri) return false;
 
     const timeDiff = timestamp - this.lastHeartbeat.timestamp;
-    if (isWrite && timeDiff > WakaAPI.HEARTBEAT_WRITE_TIMEOUT) return false;
+    if (
+      isWrite &&
+      (!this.lastHeartbeat.isWrite ||
+        timeDiff > WakaAPI.HEARTBEAT_WRITE_TIMEOUT)
+    )
+      return false;
 
     return (
       this.lastHeartbeat.fileUri === fileUri &&
@@ -265,12 +740,43 @@ export default class WakaAPI {
     );
   }
 
-  getProjectName(file) {
-    const folder = window.addedFolder.find((dir) =>
-      file?.uri?.includes(dir.url),
+  async getProjectName(file) {
+    const project = await this.#project.resolve(file?.uri);
+    if (project) return project.name;
+
+    // Outside of the added folders: the configured default, else the parent
+    // directory
+    if (this.#ctx.settings.defaultProject)
+      return this.#ctx.settings.defaultProject;
+    return file?.uri ? Url.basename(Url.dirname(file.uri)) : undefined;
+  }
+
+  /**
+   * The added folder a file is in, when the project was named otherwise
+   * @param {Object} file - The editor file
+   * @param {string} project - The project of the heartbeat
+   * @returns {string|null} The folder name
+   */
+  getAlternateProject(file, project) {
+    const folder = WakaProject.findFolder(file?.uri);
+    const name = folder && (Url.basename(folder.url) || folder.title);
+    return name && name !== project ? name : null;
+  }
+
+  /**
+   * The language of the file name when the editor mode does not tell it
+   * @param {Object} file - The editor file
+   * @param {string|null} mode - The editor mode id
+   * @returns {string|null} The alternate language
+   */
+  getAlternateLanguage(file, mode) {
+    if (!WakaLanguage.isGeneric(mode)) return null;
+    const name = file?.filename ?? file?.uri ?? "";
+    return (
+      this.#ctx.language.fromFileName(name) ??
+      name.match(/\.([^./\\]+)$/)?.[1]?.toLowerCase() ??
+      null
     );
-    if (!folder) return;
-    return folder?.title;
   }
 
   getPlugin() {
@@ -302,35 +808,16 @@ export default class WakaAPI {
   }
 
   getFileLanguage(file) {
-    if (this.#isCodeMirror) {
-      // CodeMirror 6
-      return file?.session?.language ?? file?.ext?.replace(/^\./, "") ?? null;
-    }
-    // Ace editor
-    return file?.session?.$modeId?.split("/")?.pop();
+    return this.#ctx.language.resolve(file, this.#editor.getLanguage(file));
   }
 
   async getBranch(file) {
-    try {
-      const root = window.addedFolder.find((dir) =>
-        file?.uri?.includes(dir.url),
-      );
-      if (!root) return null;
-
-      const head = await Fs(Url.join(root.url, ".git/HEAD")).readFile("utf8");
-      const headContent = head.trim();
+    // A .wakatime-project file may override the branch
+    const project = await this.#project.resolve(file?.uri);
+    if (project?.branch) return project.branch;
+    if (WakaProject.getRemoteHost(file?.uri)) return null;
 
-      if (headContent.startsWith("ref: refs/heads/")) {
-        return headContent.replace("ref: refs/heads/", "");
-      } else if (headContent.startsWith("ref:")) {
-        return headContent?.split("/")?.pop();
-      } else {
-        return headContent?.substring(0, 7);
-      }
-    } catch (e) {
-      WakaLogger.error("Failed to get branch name", e);
-      return null;
-    }
+    return (await this.#git.resolve(file?.uri))?.branch ?? null;
   }
 
   destroy() {
@@ -338,9 +825,19 @@ export default class WakaAPI {
       clearTimeout(this.#editorChangeTimer);
       this.#editorChangeTimer = null;
     }
+    if (this.#editorActivityTimer) {
+      clearTimeout(this.#editorActivityTimer);
+      this.#editorActivityTimer = null;
+    }
     editorManager.off("switch-file", this.#handleFileSwitchEvent);
-    this.#detachEditorChangeListener();
+    editorManager.off("save-file", this.#handleFileSaveEvent);
+    document.removeEventListener("keydown", this.#handleKeyDownEvent, {
+      capture: true,
+    });
+    this.#editor.destroy();
     if (!this.#ctx.settings.saveData) this.#queue.clear();
+    this.#queue.removeAllListeners();
+    super.removeAllListeners();
   }
 
   static isApiKey(key) {
@@ -349,6 +846,23 @@ export default class WakaAPI {
     return !(!key || !regex.test(key));
   }
 
+  /**
+   * Parse a Retry-After header, either delay-seconds or an HTTP date
+   * @param {string|null} value - The header value
+   * @returns {number} Timestamp to retry at
+   */
+  static parseRetryAfter(value) {
+    const now = Date.now();
+    if (value) {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds)) return now + Math.max(0, seconds) * 1000;
+
+      const date = Date.parse(value);
+      if (!Number.isNaN(date)) return Math.max(now, date);
+    }
+    return now + WakaAPI.RATE_LIMIT_DEFAULT_DELAY;
+  }
+
   static apiEndpointRegex(value) {
     try {
       const url = new URL(value);
@@ -0,0 +1,96 @@
+import WakaAPI from "./Api.js";
+import WakaConfig from "./Config.js";
+import WakaKeyValues from "./KeyValues.js";
+import WakaLogger from "./Logger.js";
+
+export default class WakaCategory {
+  static AUTO = "auto";
+  static TERMINAL_RULE = "terminal";
+  static TERMINAL_SELECTOR = ".xterm, .terminal, #console";
+  static DEFAULT_RULES = [
+    "terminal = debugging",
+    "(^|/)__tests__/ = writing tests",
+    "\\.(test|spec)\\.[^/]+$ = writing tests",
+    "(^|/)node_modules/ = researching",
+    "(^|/)docs?/ = writing docs",
+    "\\.(md|mdx|rst|adoc)$ = writing docs",
+  ].join("\n");
+
+  #ctx;
+  // Patterns may contain "=", categories don't
+  #rules = new WakaKeyValues({
+    fromLast: true,
+    build: WakaCategory.#buildRules,
+  });
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+  }
+
+  get enabled() {
+    return !!this.#ctx.settings.autoCategory;
+  }
+
+  /**
+   * Rules from the `pattern = category` lines of the settings, the first
+   * match wins. `terminal` matches the heartbeats sent while Acode's
+   * terminal or console has the focus, there are none without this rule.
+   * Other patterns are tested against the file path.
+   * @returns {Array<{pattern: string, regex: RegExp|null, category: string}>}
+   */
+  get rules() {
+    return this.#rules.parse(
+      this.#ctx.settings.categoryRules || WakaCategory.DEFAULT_RULES,
+    );
+  }
+
+  static #buildRules(entries) {
+    const types = WakaAPI.CATEGORY_TYPES;
+    const rules = [];
+    for (const [pattern, value, line] of entries) {
+      const category = value.toLowerCase();
+      if (!pattern || !types.includes(category)) {
+        WakaLogger.warning("Invalid category rule", line);
+        continue;
+      }
+
+      if (pattern === WakaCategory.TERMINAL_RULE) {
+        rules.push({ pattern, regex: null, category });
+        continue;
+      }
+      try {
+        rules.push({ pattern, regex: new RegExp(pattern, "i"), category });
+      } catch {
+        WakaLogger.warning("Invalid category rule", line);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Pick a category for a file from the rules
+   * @param {Object} file - The editor file
+   * @param {string} entity - The heartbeat entity of the file
+   * @returns {string|null} The category, null if no rule matched
+   */
+  detect(file, entity) {
+    if (!this.enabled) return null;
+
+    const path = WakaConfig.toPath(entity ?? file?.uri);
+    const terminal = WakaCategory.isTerminalFocused(file);
+    for (const rule of this.rules) {
+      if (rule.regex ? rule.regex.test(path) : terminal) return rule.category;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a terminal tab or the console is in use
+   * @param {Object} [file] - The active editor file
+   * @returns {boolean} True if focused
+   */
+  static isTerminalFocused(file) {
+    if (file?.type === "terminal") return true;
+    return !!document.activeElement?.closest?.(WakaCategory.TERMINAL_SELECTOR);
+  }
+}
@@ -0,0 +1,299 @@
+import DOMPurify from "dompurify";
+import plugin from "../plugin.json";
+import WakaAPI from "./Api.js";
+import WakaCategory from "./Category.js";
+import WakaKeyValues from "./KeyValues.js";
+import WakaLogger from "./Logger.js";
+
+const Settings = acode.require("settings");
+const Select = acode.require("select");
+const Prompt = acode.require("prompt");
+const Confirm = acode.require("confirm");
+const Alert = acode.require("alert");
+const Toast = acode.require("toast");
+
+export default class WakaCommands {
+  static DASHBOARD_URL = "https://wakatime.com/dashboard";
+  static TOP_SIZE = 3;
+  // Default shortcuts, `settings.commandKeys` may replace them by name
+  static COMMANDS = [
+    {
+      name: "wakatime-set-api-key",
+      description: "WakaTime: Set API Key",
+      key: "Ctrl-Alt-Shift-K",
+      exec: "setApiKey",
+    },
+    {
+      name: "wakatime-set-category",
+      description: "WakaTime: Set Category",
+      key: "Ctrl-Alt-Shift-C",
+      exec: "selectCategory",
+    },
+    {
+      name: "wakatime-flush-queue",
+      description: "WakaTime: Send Queued Heartbeats Now",
+      key: "Ctrl-Alt-Shift-F",
+      exec: "flushQueue",
+    },
+    {
+      name: "wakatime-clear-queues",
+      description: "WakaTime: Clear Queued Heartbeats",
+      key: "Ctrl-Alt-Shift-X",
+      exec: "clearQueues",
+    },
+    {
+      name: "wakatime-open-dashboard",
+      description: "WakaTime: Open Dashboard",
+      key: "Ctrl-Alt-Shift-D",
+      exec: "openDashboard",
+    },
+    {
+      name: "wakatime-show-today",
+      description: "WakaTime: Show Today's Stats",
+      key: "Ctrl-Alt-Shift-T",
+      exec: "showToday",
+    },
+    {
+      name: "wakatime-toggle-tracking",
+      description: "WakaTime: Pause/Resume Tracking",
+      key: "Ctrl-Alt-Shift-P",
+      exec: "toggleTracking",
+    },
+    {
+      name: "wakatime-copy-debug-info",
+      description: "WakaTime: Copy Debug Info",
+      key: "Ctrl-Alt-Shift-I",
+      exec: "copyDebugInfo",
+    },
+  ];
+
+  #ctx;
+  #commands = null;
+  #unsubscribe = null;
+  #keys = new WakaKeyValues({ lowerCaseKeys: true });
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+  }
+
+  /**
+   * User shortcuts from the `command = keys` lines of the settings
+   * @returns {Object<string, string>} Keys by command name
+   */
+  get keys() {
+    return this.#keys.parse(this.#ctx.settings.commandKeys);
+  }
+
+  init() {
+    // A new editor instance or engine starts without our commands
+    this.#unsubscribe = this.#ctx.api.on("editor:changed", () =>
+      this.register(),
+    );
+    this.register();
+  }
+
+  /**
+   * Add the commands to the active editor, again after the shortcuts or
+   * the editor changed
+   */
+  register() {
+    this.#unregister();
+    const commands = editorManager.editor?.commands;
+    if (!commands?.addCommand) {
+      WakaLogger.warning(
+        "Editor has no commands, WakaTime shortcuts are not available",
+      );
+      return;
+    }
+
+    const keys = this.keys;
+    for (const { name, description, key, exec } of WakaCommands.COMMANDS) {
+      const bindKey = keys[name] ?? key;
+      commands.addCommand({
+        name,
+        description,
+        bindKey: { win: bindKey, mac: bindKey.replace(/Ctrl/g, "Command") },
+        exec: () => {
+          this[exec]().catch((error) => {
+            window?.DEBUG &&
+              console.warn(`[WAKATIME:COMMANDS] ${name} failed:`, error);
+          });
+        },
+        readOnly: true,
+      });
+    }
+    this.#commands = commands;
+  }
+
+  destroy() {
+    this.#unsubscribe?.();
+    this.#unsubscribe = null;
+    this.#unregister();
+  }
+
+  #unregister() {
+    if (!this.#commands) return;
+    for (const { name } of WakaCommands.COMMANDS) {
+      this.#commands.removeCommand(name);
+    }
+    this.#commands = null;
+  }
+
+  async setApiKey() {
+    const value = await Prompt(
+      "Wakatime API Key",
+      this.#ctx.apiKey || "",
+      "text",
+      {
+        required: true,
+        placeholder: "waka_xxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx",
+        test: WakaAPI.isApiKey,
+      },
+    );
+    if (value == null) return;
+    this.#ctx.setApiKey(value);
+    Settings.update(false);
+  }
+
+  async selectCategory() {
+    const types = WakaAPI.CATEGORY_TYPES;
+    const value = await Select(
+      "Heartbeats Category",
+      this.#ctx.category.enabled ? [WakaCategory.AUTO, ...types] : types,
+      { default: this.#ctx.api.category },
+    );
+    if (value) this.#ctx.api.category = value;
+  }
+
+  async flushQueue() {
+    const { api, offline } = this.#ctx;
+    await api.flushPending();
+    const results = await Promise.all([
+      api.queue.forceProcess(),
+      offline.forceProcess(),
+    ]);
+    const processed = results.reduce((sum, r) => sum + (r?.processed ?? 0), 0);
+    const waiting = api.queue.length + offline.length;
+    Toast(
+      waiting > 0
+        ? `WakaTime: ${processed} sent, ${waiting} waiting`
+        : `WakaTime: ${processed} sent`,
+    );
+  }
+
+  async clearQueues() {
+    const confirmation = await Confirm(
+      "WakaTime",
+      "Delete every heartbeat not sent yet?",
+    );
+    if (!confirmation) return;
+    this.#ctx.clearQueues();
+    Toast("WakaTime: queues cleared");
+  }
+
+  async openDashboard() {
+    const apiBaseUrl = this.#ctx.api.apiBaseUrl;
+    // Self-hosted servers like Wakapi serve their dashboard at the root
+    const url =
+      apiBaseUrl === WakaAPI.API_BASE_URL
+        ? WakaCommands.DASHBOARD_URL
+        : new URL(apiBaseUrl).origin;
+    system.openInBrowser(url);
+  }
+
+  async showToday() {
+    const lines =
+      (await this.#getRemoteToday()) ?? (await this.#getLocalToday());
+    Alert("WakaTime Today", DOMPurify.sanitize(lines.join("<br>")));
+  }
+
+  async toggleTracking() {
+    const api = this.#ctx.api;
+    if (api.isTrackingPaused) api.resumeTracking();
+    else api.pauseTracking();
+    Toast(`WakaTime: tracking ${api.isTrackingPaused ? "paused" : "resumed"}`);
+  }
+
+  async copyDebugInfo() {
+    const text = this.getDebugInfo();
+    if (window.cordova?.plugins?.clipboard) {
+      cordova.plugins.clipboard.copy(text);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+    Toast("WakaTime: debug info copied");
+  }
+
+  /**
+   * State of the plugin for bug reports, without the API key
+   * @returns {string} One `name: value` per line
+   */
+  getDebugInfo() {
+    const { api, offline, pending, deadLetter } = this.#ctx;
+    const apiKey = this.#ctx.apiKey;
+    const { lastHeartbeat } = api;
+    const info = {
+      plugin: `${plugin.id} ${plugin.version}`,
+      agent: api.getPlugin(),
+      userAgent: api.getUserAgent(),
+      editor: editorManager.isCodeMirror ? "CodeMirror" : "Ace",
+      endpoint: api.apiBaseUrl,
+      apiKey: !apiKey
+        ? "none"
+        : `${api.isAuthRejected ? "rejected" : "set"} (...${apiKey.slice(-4)})`,
+      connected: offline.isConnected,
+      tracking: api.isTrackingPaused ? "paused" : "active",
+      rateLimitedUntil: Number.isFinite(api.rateLimitedUntil)
+        ? new Date(api.rateLimitedUntil).toISOString()
+        : "none",
+      category: api.category,
+      queue: api.queue.length,
+      offline: offline.length,
+      pending: pending.length,
+      failed: deadLetter.length,
+      lastError: deadLetter.lastError || "none",
+      lastHeartbeat: lastHeartbeat.timestamp
+        ? new Date(lastHeartbeat.timestamp).toISOString()
+        : "none",
+      totalHeartbeats: api.totalHeartbeats,
+    };
+    return Object.entries(info)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join("\n");
+  }
+
+  async #getRemoteToday() {
+    if (!this.#ctx.apiKey || this.#ctx.api.isAuthRejected) return null;
+    let today;
+    try {
+      today = await this.#ctx.api.stats.today();
+    } catch {
+      return null;
+    }
+    if (!today?.grand_total) return null;
+
+    const top = (items) =>
+      (items ?? [])
+        .slice(0, WakaCommands.TOP_SIZE)
+        .map(({ name, text }) => `${name}: ${text}`);
+    return [
+      `Total: ${today.grand_total.text}`,
+      ...top(today.projects),
+      ...top(today.languages),
+    ];
+  }
+
+  async #getLocalToday() {
+    const today = await this.#ctx.history.today();
+    const format = (seconds) => this.#ctx.sidebar.formatTotal(seconds);
+    const top = (items) =>
+      items
+        .slice(0, WakaCommands.TOP_SIZE)
+        .map(({ name, total }) => `${name}: ${format(total)}`);
+    return [
+      `Total: ${format(today.total)} (this device)`,
+      ...top(today.projects),
+      ...top(today.languages),
+    ];
+  }
+}
@@ -0,0 +1,154 @@
+import WakaLogger from "./Logger.js";
+
+const Fs = acode.require("fs");
+
+export default class WakaConfig {
+  static DEFAULT_PATH = "file:///storage/emulated/0/.wakatime.cfg";
+  static SECTION = "settings";
+
+  #ctx;
+  #settings = {};
+  #patternCache = new Map();
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+  }
+
+  get path() {
+    return this.#ctx.settings.configPath ?? WakaConfig.DEFAULT_PATH;
+  }
+
+  /**
+   * Read and parse the config file, a missing file means no settings
+   * @returns {Promise<Object>} The `[settings]` section
+   */
+  async load() {
+    this.#settings = {};
+    this.#patternCache.clear();
+    if (!this.path) return this.#settings;
+
+    try {
+      if (!(await Fs(this.path).exists())) return this.#settings;
+      const content = await Fs(this.path).readFile("utf8");
+      this.#settings = WakaConfig.parse(content)[WakaConfig.SECTION] ?? {};
+      WakaLogger.info("Loaded config", this.path);
+    } catch (error) {
+      WakaLogger.warning(`Failed to read config ${this.path}`, error);
+    }
+    return this.#settings;
+  }
+
+  get apiKey() {
+    return this.#settings.api_key || null;
+  }
+
+  get apiUrl() {
+    return this.#settings.api_url || null;
+  }
+
+  /**
+   * Check the include/exclude rules, include wins over exclude
+   * @param {string} fileUri - The file uri
+   * @returns {boolean} True if the file must not be tracked
+   */
+  isExcluded(fileUri) {
+    const path = WakaConfig.toPath(fileUri);
+    if (this.#patterns("include").some((regex) => regex.test(path)))
+      return false;
+    return this.#patterns("exclude").some((regex) => regex.test(path));
+  }
+
+  shouldHideFileName(fileUri) {
+    return this.#shouldHide("hide_file_names", WakaConfig.toPath(fileUri));
+  }
+
+  shouldHideProjectName(project) {
+    return this.#shouldHide("hide_project_names", project);
+  }
+
+  shouldHideBranchName(branch) {
+    return this.#shouldHide("hide_branch_names", branch);
+  }
+
+  /**
+   * Hide settings are a boolean or a list of patterns of what to hide
+   */
+  #shouldHide(key, value) {
+    const setting = this.#settings[key]?.trim().toLowerCase();
+    if (!setting || setting === "false") return false;
+    if (setting === "true") return true;
+    return !!value && this.#patterns(key).some((regex) => regex.test(value));
+  }
+
+  #patterns(key) {
+    if (this.#patternCache.has(key)) return this.#patternCache.get(key);
+
+    const patterns = (this.#settings[key] ?? "")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((pattern) => {
+        try {
+          // Python style inline flags are not supported by JS
+          return new RegExp(pattern.replace(/^\(\?i\)/, ""), "i");
+        } catch {
+          WakaLogger.warning(`Invalid ${key} pattern`, pattern);
+          return null;
+        }
+      })
+      .filter(Boolean);
+    this.#patternCache.set(key, patterns);
+    return patterns;
+  }
+
+  /**
+   * Parse an INI file, indented lines continue the value of the line before.
+   * The objects have no prototype, a `[__proto__]` section is just a name.
+   * @param {string} content - The file content
+   * @returns {Object<string, Object<string, string>>} Values by section
+   */
+  static parse(content) {
+    const result = Object.create(null);
+    let section = null;
+    let key = null;
+
+    for (const line of content.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith("#") || trimmed.startsWith(";"))
+        continue;
+
+      const sectionMatch = trimmed.match(/^\[(.+)\]$/);
+      if (sectionMatch) {
+        section = sectionMatch[1].trim();
+        result[section] ??= Object.create(null);
+        key = null;
+        continue;
+      }
+      if (!section) continue;
+
+      if (/^\s/.test(line) && key) {
+        const value = result[section][key];
+        result[section][key] = value ? `${value}\n${trimmed}` : trimmed;
+        continue;
+      }
+
+      const separator = trimmed.search(/[=:]/);
+      if (separator === -1) continue;
+      key = trimmed.slice(0, separator).trim();
+      result[section][key] = trimmed.slice(separator + 1).trim();
+    }
+    return result;
+  }
+
+  /**
+   * Patterns are written against paths, not uris
+   */
+  static toPath(uri) {
+    if (!uri?.startsWith("file://")) return uri ?? "";
+    try {
+      return decodeURI(uri.slice("file://".length));
+    } catch {
+      return uri.slice("file://".length);
+    }
+  }
+}
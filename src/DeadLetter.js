@@ -0,0 +1,138 @@
+import WakaEmitter from "./Emitter.js";
+import { createStorage } from "./Storage.js";
+
+/**
+ * Emits `queue:changed` when items were added, restored or removed
+ */
+export default class WakaDeadLetter extends WakaEmitter {
+  static STORAGE_KEY = "wakatime_dead_letter";
+  static MAX_SIZE = 1000;
+
+  #ctx;
+  #items = [];
+  #storage;
+  #saving;
+  #generation = 0;
+
+  constructor(ctx) {
+    super();
+    this.#ctx = ctx;
+    this.#storage = createStorage(WakaDeadLetter.STORAGE_KEY);
+    this.#saving = this.restore();
+  }
+
+  /**
+   * Store an item that could not be delivered
+   * @param {Object} item - The queue item that failed
+   * @param {Error|string} error - The last error of the item
+   */
+  add(item, error) {
+    const { id, data, timestamp, attempts } = item;
+    const failed = {
+      id,
+      data,
+      timestamp,
+      attempts,
+      error: error?.message ?? String(error ?? "Unknown error"),
+      failedAt: Date.now(),
+    };
+    this.#items.push(failed);
+
+    const dropped =
+      this.#items.length > WakaDeadLetter.MAX_SIZE
+        ? this.#items.splice(0, this.#items.length - WakaDeadLetter.MAX_SIZE)
+        : [];
+    this.#write(async (storage) => {
+      await storage.put([failed]);
+      await storage.delete(dropped.map((item) => item.id));
+    });
+  }
+
+  /**
+   * Remove and return all stored items
+   * @returns {Array} The stored items
+   */
+  take() {
+    const items = this.#items;
+    this.#items = [];
+    this.#generation++;
+    this.#write((storage) => storage.clear());
+    return items;
+  }
+
+  /**
+   * Discard all stored items
+   */
+  clear() {
+    this.#items = [];
+    this.#generation++;
+    this.#write((storage) => storage.clear());
+  }
+
+  /**
+   * Restore items from storage
+   * @returns {Promise<number>} Number of items restored
+   */
+  async restore() {
+    const generation = this.#generation;
+    try {
+      const items = await this.#storage.load();
+      // Taken or cleared while loading
+      if (generation !== this.#generation) return this.#items.length;
+
+      const ids = new Set(this.#items.map((item) => item.id));
+      this.#items = [
+        ...items.filter((item) => !ids.has(item.id)),
+        ...this.#items,
+      ].sort((a, b) => a.failedAt - b.failedAt);
+      this.emit("queue:changed");
+    } catch (error) {
+      window?.DEBUG &&
+        console.warn("[WAKATIME:DEADLETTER] Failed to restore:", error);
+    }
+    return this.#items.length;
+  }
+
+  /**
+   * Run storage writes one after another, after the restore
+   * @param {Function} write - Called with the storage
+   */
+  #write(write) {
+    this.emit("queue:changed");
+    this.#saving = this.#saving
+      .then(() => write(this.#storage))
+      .catch((error) => {
+        window?.DEBUG &&
+          console.warn("[WAKATIME:DEADLETTER] Failed to save:", error);
+      });
+  }
+
+  destroy() {
+    if (!this.#ctx.settings.saveData) this.clear();
+    super.removeAllListeners();
+  }
+
+  /**
+   * Get the stored items
+   * @returns {Array} Stored items
+   */
+  get items() {
+    return [...this.#items];
+  }
+
+  /**
+   * Get the number of stored items
+   * @returns {number} Number of items
+   */
+  get length() {
+    return this.#items.length;
+  }
+
+  /**
+   * Get the error of the most recent failure
+   * @returns {string|null} Last error message
+   */
+  get lastError() {
+    return this.#items[this.#items.length - 1]?.error ?? null;
+  }
+}
@@ -0,0 +1,143 @@
+export default class WakaDependencies {
+  static MAX_DEPENDENCIES = 50;
+  static MAX_LENGTH = 200;
+  // Big files are mostly data, the imports are at the top anyway
+  static MAX_CONTENT_LENGTH = 256 * 1024;
+  static EXTRACTORS = {
+    js: ["js", "jsx", "mjs", "cjs", "ts", "tsx", "mts", "cts", "vue", "svelte"],
+    python: ["py", "pyw", "pyi"],
+    go: ["go"],
+    java: ["java", "kt", "kts"],
+    php: ["php", "phtml"],
+  };
+
+  /**
+   * Extract the dependencies of a file from its contents
+   * @param {string} content - The file contents
+   * @param {string} fileName - The file name or uri, for its extension
+   * @returns {Array<string>|null} The dependencies, null if unsupported
+   */
+  extract(content, fileName) {
+    const extractor = this.getExtractor(fileName);
+    if (!extractor || typeof content !== "string") return null;
+
+    const source = content.slice(0, WakaDependencies.MAX_CONTENT_LENGTH);
+    const dependencies = new Set();
+    for (const name of WakaDependencies[extractor](source)) {
+      if (!name || name.length > WakaDependencies.MAX_LENGTH) continue;
+      dependencies.add(name);
+      if (dependencies.size >= WakaDependencies.MAX_DEPENDENCIES) break;
+    }
+    return [...dependencies];
+  }
+
+  /**
+   * @param {string} fileName - The file name or uri
+   * @returns {string|null} The extractor name
+   */
+  getExtractor(fileName) {
+    const ext = fileName?.match(/\.([^./\\]+)$/)?.[1]?.toLowerCase();
+    if (!ext) return null;
+    for (const [extractor, exts] of Object.entries(
+      WakaDependencies.EXTRACTORS,
+    )) {
+      if (exts.includes(ext)) return extractor;
+    }
+    return null;
+  }
+
+  /**
+   * `import`, `export ... from`, `require()` and `import()` of packages,
+   * relative paths are the project itself. Names like `important` and
+   * methods like `obj.import()` are not keywords.
+   */
+  static *js(source) {
+    const regex =
+      /(?<![\w$.])(?:import\b\s*(?:[\w*{}\s,$]+\s*from\s*)?|export\b\s*[\w*{}\s,$]+\s*from\s*|(?:require|import)\s*\(\s*)["'`]([^"'`\n]+)["'`]/g;
+    for (const [, specifier] of source.matchAll(regex)) {
+      if (/^[./]/.test(specifier) || /^[a-z]+:\/\//i.test(specifier)) continue;
+
+      const name = specifier.replace(/^node:/, "");
+      const parts = name.split("/");
+      yield name.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+    }
+  }
+
+  /**
+   * `import a.b, c` and `from a.b import c`, relative imports are skipped
+   */
+  static *python(source) {
+    const regex =
+      /^[ \t]*(?:from[ \t]+([\w.]+)[ \t]+import|import[ \t]+([^\n#]+))/gm;
+    for (const [, from, imports] of source.matchAll(regex)) {
+      const modules = from ? [from] : imports.split(",");
+      for (const module of modules) {
+        const name = module.trim().split(/\s+/)[0];
+        if (!name || name.startsWith(".")) continue;
+        yield name.split(".")[0];
+      }
+    }
+  }
+
+  /**
+   * Single imports and `import ( ... )` blocks
+   */
+  static *go(source) {
+    for (const [, block] of source.matchAll(/\bimport\s*\(([^)]*)\)/g)) {
+      for (const [, path] of block.matchAll(/"([^"\n]+)"/g)) yield path;
+    }
+    const regex = /^[ \t]*import[ \t]+(?:[\w.]+[ \t]+)?"([^"\n]+)"/gm;
+    for (const [, path] of source.matchAll(regex)) yield path;
+  }
+
+  /**
+   * Java and Kotlin imports, the package without the imported name
+   */
+  static *java(source) {
+    const regex = /^[ \t]*import[ \t]+(?:static[ \t]+)?([\w.]+)(?:\.\*)?/gm;
+    for (const [match, path] of source.matchAll(regex)) {
+      const parts = path.split(".");
+      if (!match.endsWith("*")) parts.pop();
+      if (parts.length) yield parts.join(".");
+    }
+  }
+
+  /**
+   * `use` statements, the top level namespace. In class bodies `use` adds
+   * a trait, not a dependency.
+   */
+  static *php(source) {
+    const classBodies = WakaDependencies.#phpClassBodies(source);
+    const regex =
+      /^[ \t]*use[ \t]+(?:function[ \t]+|const[ \t]+)?\\?([\w\\]+)/gm;
+    for (const { 1: path, index } of source.matchAll(regex)) {
+      if (classBodies.some(([start, end]) => index > start && index < end))
+        continue;
+      yield path.split("\\")[0];
+    }
+  }
+
+  /**
+   * Ranges of the bodies of classes, traits, enums and interfaces
+   * @param {string} source - The file contents
+   * @returns {Array<[number, number]>} Indexes of the braces
+   */
+  static #phpClassBodies(source) {
+    const ranges = [];
+    const regex = /\b(?:class|trait|enum|interface)\s+\w+[^{;]*\{/g;
+    for (const match of source.matchAll(regex)) {
+      const start = match.index + match[0].length - 1;
+      let depth = 0;
+      let end = source.length;
+      for (let i = start; i < source.length; i++) {
+        if (source[i] === "{") depth++;
+        else if (source[i] === "}" && --depth === 0) {
+          end = i;
+          break;
+        }
+      }
+      ranges.push([start, end]);
+    }
+    return ranges;
+  }
+}
@@ -0,0 +1,215 @@
+export default class WakaEditor {
+  static CHECK_INTERVAL = 5000; // 5 seconds
+
+  #editor = null;
+  #isCodeMirror = false;
+  #checkTimer = null;
+  #onChange = () => {};
+  #onActivity = () => {};
+  #onRebind = () => {};
+  #handleChangeEvent;
+  #handleActivityEvent;
+  #handleSessionChangeEvent;
+  #handleSelectionChangeEvent;
+  #handleSyncEvent;
+
+  constructor() {
+    this.#handleChangeEvent = (...args) => this.#onChange(...args);
+    this.#handleActivityEvent = () => this.#onActivity();
+    this.#handleSessionChangeEvent = this.#handleSessionChange.bind(this);
+    this.#handleSelectionChangeEvent = this.#handleSelectionChange.bind(this);
+    this.#handleSyncEvent = () => this.sync();
+
+    this.sync();
+    // A new instance or engine does not announce itself, check on file
+    // events and every few seconds
+    editorManager.on("switch-file", this.#handleSyncEvent);
+    this.#checkTimer = setInterval(
+      this.#handleSyncEvent,
+      WakaEditor.CHECK_INTERVAL,
+    );
+  }
+
+  /**
+   * Called when the content of the active file changed
+   */
+  set onChange(v) {
+    this.#onChange = v;
+  }
+
+  /**
+   * Called on cursor moves, selections and scrolling
+   */
+  set onActivity(v) {
+    this.#onActivity = v;
+  }
+
+  /**
+   * Called with the new editor after the listeners were rebound
+   */
+  set onRebind(v) {
+    this.#onRebind = v;
+  }
+
+  get isCodeMirror() {
+    return this.#isCodeMirror;
+  }
+
+  /**
+   * Rebind the listeners if the editor instance or engine was swapped
+   * @returns {boolean} True if the listeners were rebound
+   */
+  sync() {
+    const editor = editorManager.editor ?? null;
+    const isCodeMirror = !!editorManager.isCodeMirror;
+    if (editor === this.#editor && isCodeMirror === this.#isCodeMirror)
+      return false;
+
+    this.#detach();
+    this.#editor = editor;
+    this.#isCodeMirror = isCodeMirror;
+    this.#attach();
+    window?.DEBUG &&
+      console.log(
+        `[WAKATIME:EDITOR] Attached to ${isCodeMirror ? "CodeMirror" : "Ace"}`,
+      );
+    this.#onRebind(editor);
+    return true;
+  }
+
+  /**
+   * Get the size and cursor position of a file
+   * @param {Object} file - The editor file
+   * @returns {{lines: number|null, line: number|null, cursorpos: number|null}}
+   */
+  getStats(file) {
+    this.sync();
+    try {
+      if (this.#isCodeMirror) {
+        // CodeMirror 6
+        const state = this.#editor.state;
+        const selection = state.selection.main;
+        const line = state.doc.lineAt(selection.head);
+        return {
+          lines: state.doc.lines,
+          line: line.number,
+          cursorpos: selection.head - line.from + 1,
+        };
+      }
+      // Ace editor
+      const pos = file.session.selection.getCursor();
+      return {
+        lines: file.session.getLength(),
+        line: pos.row + 1,
+        cursorpos: pos.column + 1,
+      };
+    } catch (error) {
+      window?.DEBUG &&
+        console.warn("[WAKATIME:EDITOR] Failed to read stats:", error);
+      return { lines: null, line: null, cursorpos: null };
+    }
+  }
+
+  /**
+   * Get the language mode of a file
+   * @param {Object} file - The editor file
+   * @returns {string|null} The mode name
+   */
+  getLanguage(file) {
+    this.sync();
+    if (this.#isCodeMirror) {
+      // CodeMirror 6
+      return file?.session?.language ?? file?.ext?.replace(/^\./, "") ?? null;
+    }
+    // Ace editor
+    return file?.session?.$modeId?.split("/")?.pop() ?? null;
+  }
+
+  /**
+   * Get the contents of a file
+   * @param {Object} file - The editor file
+   * @returns {string|null} The contents, null if not available
+   */
+  getContent(file) {
+    this.sync();
+    try {
+      if (this.#isCodeMirror) {
+        // CodeMirror 6, only the shown file has its state in the view
+        if (file !== editorManager.activeFile) return null;
+        return this.#editor.state.doc.toString();
+      }
+      // Ace editor
+      return file?.session?.getValue() ?? null;
+    } catch (error) {
+      window?.DEBUG &&
+        console.warn("[WAKATIME:EDITOR] Failed to read content:", error);
+      return null;
+    }
+  }
+
+  #attach() {
+    const editor = this.#editor;
+    if (!editor) return;
+
+    if (this.#isCodeMirror) {
+      // CodeMirror 6
+      editorManager.on("file-content-changed", this.#handleChangeEvent);
+      editor.scrollDOM?.addEventListener("scroll", this.#handleActivityEvent, {
+        passive: true,
+      });
+      document.addEventListener(
+        "selectionchange",
+        this.#handleSelectionChangeEvent,
+      );
+    } else {
+      // Ace editor
+      editor.on("change", this.#handleChangeEvent);
+      editor.on("changeSelection", this.#handleActivityEvent);
+      editor.on("changeSession", this.#handleSessionChangeEvent);
+      editor.session?.on("changeScrollTop", this.#handleActivityEvent);
+    }
+  }
+
+  #detach() {
+    const editor = this.#editor;
+    if (!editor) return;
+
+    if (this.#isCodeMirror) {
+      editorManager.off("file-content-changed", this.#handleChangeEvent);
+      editor.scrollDOM?.removeEventListener(
+        "scroll",
+        this.#handleActivityEvent,
+      );
+      document.removeEventListener(
+        "selectionchange",
+        this.#handleSelectionChangeEvent,
+      );
+    } else {
+      editor.off("change", this.#handleChangeEvent);
+      editor.off("changeSelection", this.#handleActivityEvent);
+      editor.off("changeSession", this.#handleSessionChangeEvent);
+      editor.session?.off("changeScrollTop", this.#handleActivityEvent);
+    }
+  }
+
+  /**
+   * Ace scroll events belong to the session, follow the active one
+   */
+  #handleSessionChange({ session, oldSession } = {}) {
+    oldSession?.off("changeScrollTop", this.#handleActivityEvent);
+    session?.on("changeScrollTop", this.#handleActivityEvent);
+  }
+
+  #handleSelectionChange() {
+    if (!this.#editor?.hasFocus) return;
+    this.#onActivity();
+  }
+
+  destroy() {
+    clearInterval(this.#checkTimer);
+    this.#checkTimer = null;
+    editorManager.off("switch-file", this.#handleSyncEvent);
+    this.#detach();
+    this.#editor = null;
+  }
+}
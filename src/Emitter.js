@@ -0,0 +1,49 @@
+import WakaLogger from "./Logger.js";
+
+export default class WakaEmitter {
+  #listeners = new Map();
+
+  /**
+   * Listen to an event
+   * @param {string} event - The event name
+   * @param {Function} listener - Called with the event arguments
+   * @returns {Function} Removes the listener
+   */
+  on(event, listener) {
+    if (!this.#listeners.has(event)) this.#listeners.set(event, new Set());
+    this.#listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Stop listening to an event
+   * @param {string} event - The event name
+   * @param {Function} listener - The listener passed to `on`
+   */
+  off(event, listener) {
+    this.#listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * Call the listeners of an event, a failing listener does not stop the
+   * others
+   * @param {string} event - The event name
+   * @param {...*} args - The event arguments
+   */
+  emit(event, ...args) {
+    for (const listener of [...(this.#listeners.get(event) ?? [])]) {
+      try {
+        listener(...args);
+      } catch (error) {
+        WakaLogger.error(`Listener of ${event} failed`, error);
+      }
+    }
+  }
+
+  /**
+   * Remove all listeners
+   */
+  removeAllListeners() {
+    this.#listeners.clear();
+  }
+}
@@ -0,0 +1,184 @@
+import WakaLogger from "./Logger.js";
+
+const Fs = acode.require("fs");
+const Url = acode.require("url");
+
+export default class WakaGit {
+  static GIT_DIR = ".git";
+  static MAX_DEPTH = 32;
+  static CACHE_TIMEOUT = 300000; // 5 minutes
+  static SHORT_SHA_LENGTH = 7;
+
+  #repoCache = new Map();
+  #headCache = new Map();
+  #warned = new Set();
+
+  /**
+   * Resolve the git metadata of the repository a file lives in
+   * @param {string} fileUri - The file uri
+   * @returns {Promise<{root: string, gitDir: string, branch: string|null, commit: string|null, detached: boolean}|null>}
+   */
+  async resolve(fileUri) {
+    if (!fileUri) return null;
+    const repo = await this.findRepository(Url.dirname(fileUri));
+    if (!repo) return null;
+
+    const head = await this.#readHead(repo);
+    if (!head) return null;
+    return { ...repo, ...head };
+  }
+
+  /**
+   * Find the nearest repository walking up from a directory, following
+   * `gitdir:` pointers of worktrees and submodules
+   * @param {string} dir - The directory to start at
+   * @returns {Promise<{root: string, gitDir: string, commonDir: string}|null>}
+   */
+  async findRepository(dir) {
+    const cached = this.#repoCache.get(dir);
+    if (cached && Date.now() - cached.timestamp < WakaGit.CACHE_TIMEOUT)
+      return cached.result;
+
+    const result = this.#lookup(dir);
+    this.#repoCache.set(dir, { result, timestamp: Date.now() });
+    return result;
+  }
+
+  /**
+   * Forget cached results
+   */
+  clearCache() {
+    this.#repoCache.clear();
+    this.#headCache.clear();
+  }
+
+  async #lookup(dir) {
+    let current = dir;
+    for (let depth = 0; current && depth < WakaGit.MAX_DEPTH; depth++) {
+      const dotGit = Url.join(current, WakaGit.GIT_DIR);
+      const stat = await this.#stat(dotGit);
+      if (stat === null) break;
+
+      if (stat) {
+        const gitDir = stat.isFile
+          ? await this.#followGitDirFile(dotGit, current)
+          : dotGit;
+        if (gitDir) {
+          const commonDir = (await this.#readCommonDir(gitDir)) ?? gitDir;
+          return { root: current, gitDir, commonDir };
+        }
+      }
+
+      const parent = Url.dirname(current);
+      if (!parent || parent === current) break;
+      current = parent;
+    }
+    return null;
+  }
+
+  /**
+   * Worktrees and submodules have a `.git` file with `gitdir: <path>`
+   */
+  async #followGitDirFile(url, dir) {
+    const content = await this.#read(url);
+    const match = content?.match(/^gitdir:\s*(.+)$/m);
+    if (!match) return null;
+    return this.#resolvePath(dir, match[1].trim());
+  }
+
+  /**
+   * Worktree git dirs point to the shared refs with a `commondir` file
+   */
+  async #readCommonDir(gitDir) {
+    const content = await this.#read(Url.join(gitDir, "commondir"));
+    if (!content?.trim()) return null;
+    return this.#resolvePath(gitDir, content.trim());
+  }
+
+  #resolvePath(base, path) {
+    if (!path.startsWith("/")) return Url.join(base, path);
+    // Absolute paths only map onto file uris
+    return base.startsWith("file://") ? `file://${path}` : null;
+  }
+
+  async #readHead(repo) {
+    const headUrl = Url.join(repo.gitDir, "HEAD");
+    const stat = await this.#stat(headUrl);
+    if (!stat) {
+      this.#warnOnce(repo.gitDir, "Failed to read git HEAD");
+      return null;
+    }
+
+    // Re-read only when HEAD changed, e.g. after a checkout
+    const lastModified = stat.lastModified ?? stat.modifiedDate;
+    const cached = this.#headCache.get(headUrl);
+    if (cached && lastModified && cached.lastModified === lastModified)
+      return cached.head;
+
+    const content = (await this.#read(headUrl))?.trim();
+    if (!content) return null;
+
+    let head;
+    if (content.startsWith("ref:")) {
+      const ref = content.slice(4).trim();
+      head = {
+        branch: ref.startsWith("refs/heads/")
+          ? ref.slice("refs/heads/".length)
+          : ref.split("/").pop(),
+        commit: await this.#readRef(repo.commonDir, ref),
+        detached: false,
+      };
+    } else {
+      head = {
+        branch: content.substring(0, WakaGit.SHORT_SHA_LENGTH),
+        commit: content,
+        detached: true,
+      };
+    }
+
+    this.#headCache.set(headUrl, { lastModified, head });
+    return head;
+  }
+
+  /**
+   * Resolve a ref to its commit from loose refs, then `packed-refs`
+   */
+  async #readRef(commonDir, ref) {
+    const loose = (await this.#read(Url.join(commonDir, ref)))?.trim();
+    if (loose) return loose;
+
+    const packed = await this.#read(Url.join(commonDir, "packed-refs"));
+    for (const line of packed?.split(/\r?\n/) ?? []) {
+      const [sha, name] = line.split(" ");
+      if (name === ref) return sha;
+    }
+    return null;
+  }
+
+  async #read(url) {
+    try {
+      return await Fs(url).readFile("utf8");
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|false|null>} The stat, false if missing, null
+   * if the location can't be accessed
+   */
+  async #stat(url) {
+    try {
+      if (!(await Fs(url).exists())) return false;
+      return await Fs(url).stat();
+    } catch {
+      return null;
+    }
+  }
+
+  #warnOnce(key, message) {
+    if (this.#warned.has(key)) return;
+    this.#warned.add(key);
+    WakaLogger.warning(message, key);
+  }
+}
@@ -0,0 +1,150 @@
+import { HistoryStorage, createId } from "./Storage.js";
+
+/**
+ * Kept when the plugin is unloaded or updated, records go after MAX_AGE or
+ * with the "CLEAR Local history" setting
+ */
+export default class WakaHistory {
+  static TIMEOUT = 900; // 15 minutes, in seconds
+  static MAX_AGE = 90 * 24 * 3600000; // 90 days
+  static GROUPS = {
+    projects: "project",
+    languages: "language",
+    files: "entity",
+    branches: "branch",
+    categories: "category",
+  };
+
+  #ctx;
+  #storage;
+  #cache = new Map();
+  #writing = Promise.resolve();
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+    this.#storage = new HistoryStorage();
+    this.#storage
+      .prune((Date.now() - WakaHistory.MAX_AGE) / 1000)
+      .catch((error) => {
+        window?.DEBUG &&
+          console.warn("[WAKATIME:HISTORY] Failed to prune:", error);
+      });
+  }
+
+  /**
+   * Keep a heartbeat in the local history, summaries wait for the write
+   * @param {Object} heartbeat - The heartbeat payload
+   * @returns {Promise<void>} Resolves once written
+   */
+  add(heartbeat) {
+    const { time, entity, project, language, branch, category, is_write } =
+      heartbeat;
+    const record = {
+      id: createId(),
+      time,
+      entity,
+      project,
+      language,
+      branch,
+      category,
+      is_write,
+    };
+    this.#cache.clear();
+    this.#writing = this.#writing
+      .then(() => this.#storage.add([record]))
+      .catch((error) => {
+        window?.DEBUG &&
+          console.warn("[WAKATIME:HISTORY] Failed to add:", error);
+      });
+    return this.#writing;
+  }
+
+  /**
+   * Sum up the time spent in a range like WakaTime does: the time between
+   * two heartbeats counts when they are at most 15 minutes apart, and goes
+   * to the first of them
+   * @param {number} start - Start timestamp, inclusive
+   * @param {number} end - End timestamp, exclusive
+   * @returns {Promise<Object>} `total` seconds, and `{name, total}` lists
+   * by projects, languages, files, branches and categories
+   */
+  async summarize(start, end) {
+    const key = `${start}:${end}`;
+    if (!this.#cache.has(key)) {
+      this.#cache.set(key, this.#summarize(start, end));
+    }
+    return this.#cache.get(key);
+  }
+
+  /**
+   * @returns {Promise<Object>} The summary of today
+   */
+  today() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return this.summarize(start.getTime(), end.getTime());
+  }
+
+  /**
+   * @returns {Promise<Object>} The summary of this week, from Monday
+   */
+  week() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+    return this.summarize(start.getTime(), end.getTime());
+  }
+
+  /**
+   * Delete the whole history
+   */
+  async clear() {
+    this.#cache.clear();
+    try {
+      await this.#storage.clear();
+    } catch (error) {
+      window?.DEBUG &&
+        console.warn("[WAKATIME:HISTORY] Failed to clear:", error);
+    }
+  }
+
+  async #summarize(start, end) {
+    await this.#writing;
+    let records = [];
+    try {
+      records = await this.#storage.range(start / 1000, end / 1000);
+    } catch (error) {
+      window?.DEBUG &&
+        console.warn("[WAKATIME:HISTORY] Failed to read:", error);
+    }
+
+    const totals = {};
+    for (const group of Object.keys(WakaHistory.GROUPS)) {
+      totals[group] = new Map();
+    }
+
+    let total = 0;
+    for (let i = 0; i < records.length - 1; i++) {
+      const duration = records[i + 1].time - records[i].time;
+      if (duration <= 0 || duration > WakaHistory.TIMEOUT) continue;
+
+      total += duration;
+      for (const [group, field] of Object.entries(WakaHistory.GROUPS)) {
+        const name = records[i][field] ?? "Unknown";
+        totals[group].set(name, (totals[group].get(name) ?? 0) + duration);
+      }
+    }
+
+    const summary = { start, end, total };
+    for (const [group, map] of Object.entries(totals)) {
+      summary[group] = [...map]
+        .map(([name, total]) => ({ name, total }))
+        .sort((a, b) => b.total - a.total);
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,166 @@
+import tag from "html-tag-js";
+import IndicatorStyle from "./Indicator.style.js";
+import WakaSidebar from "./Sidebar.js";
+
+export default class WakaIndicator {
+  static HEADER_SELECTOR = "#root > header, #root header";
+  static REFRESH_INTERVAL = 60000; // 1 minute
+  static QUEUE_BACKLOG = 20;
+
+  #ctx;
+  #element = null;
+  #time = null;
+  #refresh = null;
+  #unsubscribers = [];
+  #handleVisibilityEvent;
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+    this.#handleVisibilityEvent = this.#handleVisibility.bind(this);
+  }
+
+  /**
+   * @returns {boolean} True unless hidden in the settings
+   */
+  get enabled() {
+    return !this.#ctx.settings.hideIndicator;
+  }
+
+  /**
+   * Add the indicator to the header of the editor
+   */
+  init() {
+    const header = document.querySelector(WakaIndicator.HEADER_SELECTOR);
+    if (!header) {
+      window?.DEBUG &&
+        console.warn("[WAKATIME:INDICATOR] Header not found, skipped");
+      return;
+    }
+
+    this.#time = tag("span", { className: "waka-indicator-time" });
+    this.#element = tag("span", {
+      className: "waka-indicator",
+      attr: { role: "button", "data-state": "ok" },
+      onclick: () => this.#ctx.sidebar.open(),
+      children: [
+        tag("span", { className: `icon ${WakaSidebar.SIDEBAR_APP_ICON}` }),
+        this.#time,
+        tag("span", { className: "waka-indicator-state" }),
+      ],
+    });
+    // Right of the file name, before the header actions
+    const title = header.querySelector(".text");
+    if (title) title.after(this.#element);
+    else header.append(this.#element);
+    document.head.append(IndicatorStyle);
+
+    const api = this.#ctx.api;
+    const updateState = () => this.#updateState();
+    this.#unsubscribers = [
+      api.on("heartbeat:queued", () => this.#updateTime()),
+      api.on("heartbeat:sent", () => this.#updateTime()),
+      api.on("status:changed", () => {
+        this.#updateState();
+        this.#updateTime();
+      }),
+      api.queue.on("queue:changed", updateState),
+      this.#ctx.offline.on("queue:changed", updateState),
+      this.#ctx.pending.on("queue:changed", updateState),
+      this.#ctx.offline.on("connection:changed", updateState),
+    ];
+    // Today ends at midnight, and the remote total moves with other devices.
+    // No requests while Acode is in the background.
+    this.#refresh = setInterval(() => {
+      if (document.visibilityState === "hidden") return;
+      this.#updateTime();
+    }, WakaIndicator.REFRESH_INTERVAL);
+    document.addEventListener("visibilitychange", this.#handleVisibilityEvent);
+
+    this.toggle(this.enabled);
+    this.#updateState();
+    this.#updateTime();
+  }
+
+  /**
+   * Show or hide the indicator
+   * @param {boolean} show - True to show it
+   */
+  toggle(show) {
+    this.#element?.classList.toggle("hide", !show);
+  }
+
+  destroy() {
+    clearInterval(this.#refresh);
+    this.#refresh = null;
+    document.removeEventListener(
+      "visibilitychange",
+      this.#handleVisibilityEvent,
+    );
+    for (const unsubscribe of this.#unsubscribers) unsubscribe();
+    this.#unsubscribers = [];
+    this.#element?.remove();
+    this.#element = null;
+    IndicatorStyle.remove();
+  }
+
+  /**
+   * @returns {string} `unauthorized`, `paused`, `offline`, `backlog` or `ok`
+   */
+  getState() {
+    const { api, offline, pending } = this.#ctx;
+    if (!this.#ctx.apiKey || api.isAuthRejected) return "unauthorized";
+    if (api.isTrackingPaused) return "paused";
+    if (!offline.isConnected) return "offline";
+
+    const queued = api.queue.length + offline.length + pending.length;
+    if (queued >= WakaIndicator.QUEUE_BACKLOG || api.rateLimitedUntil)
+      return "backlog";
+    return "ok";
+  }
+
+  #handleVisibility() {
+    if (document.visibilityState !== "hidden") this.#updateTime();
+  }
+
+  #updateState() {
+    if (!this.#element) return;
+    const state = this.getState();
+    if (this.#element.dataset.state !== state) {
+      this.#element.dataset.state = state;
+    }
+    const title = {
+      unauthorized: "WakaTime: not authorized",
+      paused: "WakaTime: tracking paused",
+      offline: "WakaTime: offline, heartbeats are kept",
+      backlog: "WakaTime: heartbeats waiting to be sent",
+      ok: "WakaTime: today's coding time",
+    }[state];
+    if (this.#element.title !== title) this.#element.title = title;
+  }
+
+  /**
+   * The total of the WakaTime dashboard when reachable, else the local one
+   */
+  async #updateTime() {
+    if (!this.#element) return;
+    const text =
+      (await this.#getRemoteTotal()) ?? (await this.#getLocalTotal());
+    if (this.#time && this.#time.textContent !== text) {
+      this.#time.textContent = text;
+    }
+  }
+
+  async #getRemoteTotal() {
+    if (!this.#ctx.apiKey || this.#ctx.api.isAuthRejected) return null;
+    try {
+      return (await this.#ctx.api.stats.today())?.grand_total?.text || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async #getLocalTotal() {
+    const today = await this.#ctx.history.today();
+    return this.#ctx.sidebar.formatTotal(today.total);
+  }
+}
@@ -0,0 +1,45 @@
+import tag from "html-tag-js";
+
+export default tag("style", {
+  id: "wakatime-indicator",
+  innerHTML: `
+    .waka-indicator {
+      display: flex;
+      align-items: center;
+      flex-shrink: 0;
+      height: 100%;
+      padding: 0 .4rem;
+      gap: .3rem;
+      font-size: .8rem;
+      color: var(--primary-text-color);
+      cursor: pointer;
+      user-select: none;
+    }
+    .waka-indicator.hide {
+      display: none;
+    }
+    .waka-indicator > .icon {
+      width: 1.2rem;
+      height: 1.2rem;
+      background-size: contain;
+    }
+    .waka-indicator > .waka-indicator-state {
+      width: .45rem;
+      height: .45rem;
+      border-radius: 50%;
+      background-color: rgba(10, 240, 10, 0.7);
+    }
+    .waka-indicator[data-state="backlog"] > .waka-indicator-state {
+      background-color: rgba(255, 185, 92, 0.95);
+    }
+    .waka-indicator[data-state="paused"] {
+      opacity: .6;
+    }
+    .waka-indicator[data-state="offline"] > .waka-indicator-state {
+      background-color: rgba(150, 150, 150, 0.9);
+    }
+    .waka-indicator[data-state="unauthorized"] > .waka-indicator-state {
+      background-color: rgba(240, 10, 10, 0.8);
+    }
+  `,
+});
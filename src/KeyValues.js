@@ -0,0 +1,66 @@
+/**
+ * Parser of the `key = value` lines of a text setting. The result is kept
+ * until the text changes, most settings are read for every heartbeat.
+ */
+export default class WakaKeyValues {
+  #fromLast;
+  #lowerCaseKeys;
+  #build;
+  #cache = { source: null, result: null };
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.fromLast=false] - Split on the last "=", for
+   * keys that may contain one
+   * @param {boolean} [options.lowerCaseKeys=false] - Lowercase the keys
+   * @param {Function} [options.build] - Turns the `[key, value, line]`
+   * entries into the result, by default an object of the non empty pairs
+   */
+  constructor({
+    fromLast = false,
+    lowerCaseKeys = false,
+    build = WakaKeyValues.#toObject,
+  } = {}) {
+    this.#fromLast = fromLast;
+    this.#lowerCaseKeys = lowerCaseKeys;
+    this.#build = build;
+  }
+
+  /**
+   * Parse the lines, lines without "=" are skipped
+   * @param {string|null} source - The setting text
+   * @returns {*} The built result
+   */
+  parse(source) {
+    const text = source ?? "";
+    if (this.#cache.source === text) return this.#cache.result;
+
+    const entries = [];
+    for (const line of text.split("\n")) {
+      const separator = this.#fromLast
+        ? line.lastIndexOf("=")
+        : line.indexOf("=");
+      if (separator === -1) continue;
+
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      entries.push([
+        this.#lowerCaseKeys ? key.toLowerCase() : key,
+        value,
+        line,
+      ]);
+    }
+
+    const result = this.#build(entries);
+    this.#cache = { source: text, result };
+    return result;
+  }
+
+  static #toObject(entries) {
+    const result = {};
+    for (const [key, value] of entries) {
+      if (key && value) result[key] = value;
+    }
+    return result;
+  }
+}
@@ -0,0 +1,281 @@
+import WakaKeyValues from "./KeyValues.js";
+
+export default class WakaLanguage {
+  static GENERIC_MODES = ["text", "plain_text", "plaintext"];
+  // Ace and CodeMirror mode ids
+  static MODES = {
+    abap: "ABAP",
+    actionscript: "ActionScript",
+    ada: "Ada",
+    apache_conf: "ApacheConf",
+    applescript: "AppleScript",
+    asciidoc: "AsciiDoc",
+    assembly_x86: "Assembly",
+    astro: "Astro",
+    autohotkey: "AutoHotkey",
+    batchfile: "Batchfile",
+    c: "C",
+    c_cpp: "C++",
+    clojure: "Clojure",
+    cobol: "COBOL",
+    coffee: "CoffeeScript",
+    coldfusion: "ColdFusion",
+    cpp: "C++",
+    crystal: "Crystal",
+    csharp: "C#",
+    css: "CSS",
+    d: "D",
+    dart: "Dart",
+    diff: "Diff",
+    django: "Django",
+    dockerfile: "Docker",
+    dot: "Graphviz (DOT)",
+    ejs: "EJS",
+    elixir: "Elixir",
+    elm: "Elm",
+    erlang: "Erlang",
+    fortran: "Fortran",
+    fsharp: "F#",
+    gitignore: "Ignore List",
+    glsl: "GLSL",
+    go: "Go",
+    golang: "Go",
+    graphqlschema: "GraphQL",
+    groovy: "Groovy",
+    haml: "Haml",
+    handlebars: "Handlebars",
+    haskell: "Haskell",
+    haxe: "Haxe",
+    html: "HTML",
+    html_elixir: "HTML+EEX",
+    html_ruby: "HTML+ERB",
+    ini: "INI",
+    jade: "Pug",
+    java: "Java",
+    javascript: "JavaScript",
+    json: "JSON",
+    json5: "JSON5",
+    jsp: "Java Server Pages",
+    jsx: "JavaScript",
+    julia: "Julia",
+    kotlin: "Kotlin",
+    latex: "TeX",
+    less: "Less",
+    liquid: "Liquid",
+    lisp: "Common Lisp",
+    livescript: "LiveScript",
+    lua: "Lua",
+    makefile: "Makefile",
+    markdown: "Markdown",
+    matlab: "MATLAB",
+    mysql: "SQL",
+    nginx: "Nginx",
+    nim: "Nim",
+    nix: "Nix",
+    nsis: "NSIS",
+    objectivec: "Objective-C",
+    ocaml: "OCaml",
+    pascal: "Pascal",
+    perl: "Perl",
+    pgsql: "PLpgSQL",
+    php: "PHP",
+    php_laravel_blade: "Blade",
+    plain_text: "Text",
+    plaintext: "Text",
+    powershell: "PowerShell",
+    prolog: "Prolog",
+    properties: "Java Properties",
+    protobuf: "Protocol Buffer",
+    puppet: "Puppet",
+    python: "Python",
+    r: "R",
+    razor: "HTML+Razor",
+    rst: "reStructuredText",
+    ruby: "Ruby",
+    rust: "Rust",
+    sass: "Sass",
+    scala: "Scala",
+    scheme: "Scheme",
+    scss: "SCSS",
+    sh: "Shell",
+    shell: "Shell",
+    slim: "Slim",
+    smarty: "Smarty",
+    sql: "SQL",
+    sqlserver: "TSQL",
+    stylus: "Stylus",
+    svelte: "Svelte",
+    svg: "SVG",
+    swift: "Swift",
+    tcl: "Tcl",
+    terraform: "HCL",
+    tex: "TeX",
+    text: "Text",
+    textile: "Textile",
+    toml: "TOML",
+    tsx: "TSX",
+    twig: "Twig",
+    typescript: "TypeScript",
+    vala: "Vala",
+    vbscript: "VBScript",
+    verilog: "Verilog",
+    vhdl: "VHDL",
+    vue: "Vue.js",
+    xml: "XML",
+    xquery: "XQuery",
+    yaml: "YAML",
+    zig: "Zig",
+  };
+  static EXTENSIONS = {
+    bash: "Shell",
+    c: "C",
+    cc: "C++",
+    cjs: "JavaScript",
+    cpp: "C++",
+    cs: "C#",
+    css: "CSS",
+    cts: "TypeScript",
+    cxx: "C++",
+    dart: "Dart",
+    go: "Go",
+    gradle: "Gradle",
+    hpp: "C++",
+    htm: "HTML",
+    html: "HTML",
+    java: "Java",
+    js: "JavaScript",
+    json: "JSON",
+    jsx: "JavaScript",
+    kt: "Kotlin",
+    kts: "Kotlin",
+    less: "Less",
+    lua: "Lua",
+    md: "Markdown",
+    mdx: "MDX",
+    mjs: "JavaScript",
+    mts: "TypeScript",
+    php: "PHP",
+    py: "Python",
+    rb: "Ruby",
+    rs: "Rust",
+    sass: "Sass",
+    scss: "SCSS",
+    sh: "Shell",
+    sql: "SQL",
+    svelte: "Svelte",
+    swift: "Swift",
+    toml: "TOML",
+    ts: "TypeScript",
+    tsx: "TSX",
+    txt: "Text",
+    vue: "Vue.js",
+    xml: "XML",
+    yaml: "YAML",
+    yml: "YAML",
+    zig: "Zig",
+    zsh: "Shell",
+  };
+  static FILE_NAMES = {
+    ".bashrc": "Shell",
+    ".editorconfig": "EditorConfig",
+    ".env": "Dotenv",
+    ".gitattributes": "Git Attributes",
+    ".gitconfig": "Git Config",
+    ".gitignore": "Ignore List",
+    ".zshrc": "Shell",
+    "cmakelists.txt": "CMake",
+    containerfile: "Docker",
+    dockerfile: "Docker",
+    gemfile: "Ruby",
+    gnumakefile: "Makefile",
+    jenkinsfile: "Groovy",
+    makefile: "Makefile",
+    procfile: "Procfile",
+    rakefile: "Ruby",
+    vagrantfile: "Ruby",
+  };
+
+  #ctx;
+  #overrides = new WakaKeyValues({ lowerCaseKeys: true });
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+  }
+
+  /**
+   * User overrides from the `key = Language` lines of the settings, a key
+   * is a file name, an extension like `.ext` or an editor mode id
+   * @returns {Object<string, string>} Languages by lowercase key
+   */
+  get overrides() {
+    return this.#overrides.parse(this.#ctx.settings.languageMap);
+  }
+
+  /**
+   * Get the WakaTime name of the language of a file. User overrides come
+   * first, then the file name, the extension and the editor mode.
+   * @param {Object} file - The editor file
+   * @param {string|null} mode - The editor mode id
+   * @returns {string|null} The language name, the mode id if unknown
+   */
+  resolve(file, mode) {
+    const { name, ext } = WakaLanguage.#parseFileName(
+      file?.filename ?? file?.uri,
+    );
+    const modeKey = mode?.toLowerCase();
+    const overrides = this.overrides;
+    const get = WakaLanguage.#get;
+
+    return (
+      get(overrides, name) ??
+      get(overrides, ext && `.${ext}`) ??
+      get(overrides, modeKey) ??
+      get(WakaLanguage.FILE_NAMES, name) ??
+      get(WakaLanguage.EXTENSIONS, ext) ??
+      get(WakaLanguage.MODES, modeKey) ??
+      mode ??
+      null
+    );
+  }
+
+  /**
+   * Get the language of a file by its name or extension only
+   * @param {string} fileName - The file name or uri
+   * @returns {string|null} The language name, null if unknown
+   */
+  fromFileName(fileName) {
+    const { name, ext } = WakaLanguage.#parseFileName(fileName);
+    const overrides = this.overrides;
+    const get = WakaLanguage.#get;
+
+    return (
+      get(overrides, name) ??
+      get(overrides, ext && `.${ext}`) ??
+      get(WakaLanguage.FILE_NAMES, name) ??
+      get(WakaLanguage.EXTENSIONS, ext) ??
+      null
+    );
+  }
+
+  /**
+   * Own properties only, files like `constructor` are no language
+   */
+  static #get(languages, key) {
+    return key && Object.hasOwn(languages, key) ? languages[key] : undefined;
+  }
+
+  static #parseFileName(fileName) {
+    const name = fileName?.split(/[/\\]/).pop()?.toLowerCase() || null;
+    // Dotfiles like `.env` have no extension
+    const ext = name?.match(/.\.([^.]+)$/)?.[1] ?? null;
+    return { name, ext };
+  }
+
+  /**
+   * @param {string|null} mode - The mode id
+   * @returns {boolean} True if the mode does not tell the language
+   */
+  static isGeneric(mode) {
+    return !mode || WakaLanguage.GENERIC_MODES.includes(mode.toLowerCase());
+  }
+}
@@ -5,15 +5,20 @@ export default class WakaOffline extends Queue {
   #callback = () => {};
   #ctx;
   #onConnectEvent;
+  #onDisconnectEvent;
 
   constructor(ctx) {
-    super(WakaOffline.QUEUE_STORAGE_KEY, (batch) =>
-      this.#callback(batch, false),
+    super(
+      WakaOffline.QUEUE_STORAGE_KEY,
+      (batch) => this.#callback(batch, false),
+      { deadLetter: ctx.deadLetter },
     );
 
     this.#ctx = ctx;
     this.#onConnectEvent = this.#onConnect.bind(this);
+    this.#onDisconnectEvent = this.#onDisconnect.bind(this);
     window.addEventListener("online", this.#onConnectEvent);
+    window.addEventListener("offline", this.#onDisconnectEvent);
   }
 
   set callback(v) {
@@ -25,7 +30,13 @@ export default class WakaOffline extends Queue {
   }
 
   #onConnect() {
-    super.scheduleProcessing();
+    this.emit("connection:changed", true);
+    // Connection is back, no need to wait for the retry backoff
+    super.forceProcess();
+  }
+
+  #onDisconnect() {
+    this.emit("connection:changed", false);
   }
 
   async process() {
@@ -39,5 +50,7 @@ export default class WakaOffline extends Queue {
   destroy() {
     if (!this.#ctx.settings.saveData) super.clear();
     window.removeEventListener("online", this.#onConnectEvent);
+    window.removeEventListener("offline", this.#onDisconnectEvent);
+    super.removeAllListeners();
   }
 }
@@ -0,0 +1,40 @@
+import Queue from "./Queue.js";
+
+export default class WakaPending extends Queue {
+  static QUEUE_STORAGE_KEY = "wakatime_pending_queue";
+  static MAX_SIZE = 5000;
+  #callback = () => {};
+  #ctx;
+
+  constructor(ctx) {
+    super(WakaPending.QUEUE_STORAGE_KEY, (batch) => this.#callback(batch), {
+      maxSize: WakaPending.MAX_SIZE,
+    });
+
+    this.#ctx = ctx;
+    // Held until an API key is entered, see flush()
+    super.pause();
+  }
+
+  set callback(v) {
+    this.#callback = v;
+  }
+
+  /**
+   * Hand all held heartbeats over to the callback
+   * @returns {Promise} Processing result
+   */
+  async flush() {
+    super.resume();
+    try {
+      return await super.forceProcess();
+    } finally {
+      super.pause();
+    }
+  }
+
+  destroy() {
+    if (!this.#ctx.settings.saveData) super.clear();
+    super.removeAllListeners();
+  }
+}
@@ -0,0 +1,142 @@
+import WakaKeyValues from "./KeyValues.js";
+
+const Url = acode.require("url");
+
+export default class WakaPrivacy {
+  static HIDDEN_PROJECTS_KEY = "wakatime_hidden_projects";
+  static SALT_KEY = "wakatime_privacy_salt";
+  static ENTITY_FULL = "full";
+  static ENTITY_BASENAME = "basename";
+  static ENTITY_HASH = "hash";
+  static ENTITY_MODES = [
+    [WakaPrivacy.ENTITY_FULL, "Full path"],
+    [WakaPrivacy.ENTITY_BASENAME, "File name only"],
+    [WakaPrivacy.ENTITY_HASH, "Salted hash"],
+  ];
+
+  #ctx;
+  #projectMap = new WakaKeyValues();
+
+  constructor(ctx) {
+    this.#ctx = ctx;
+  }
+
+  /**
+   * Hide what the settings and the config file ask for before a heartbeat
+   * is queued
+   * @param {Object} heartbeat - The heartbeat payload
+   * @returns {Promise<Object>} A new, filtered heartbeat
+   */
+  async apply(heartbeat) {
+    const config = this.#ctx.config;
+    const settings = this.#ctx.settings;
+    const result = { ...heartbeat };
+
+    // Apps, domains and urls are not file names
+    if (heartbeat.type === "file" || !heartbeat.type) {
+      await this.#filterFileName(result);
+    }
+
+    result.project = this.#filterProjectName(result.project);
+    result.alternate_project = this.#filterProjectName(
+      result.alternate_project,
+    );
+
+    if (
+      settings.hideBranchNames ||
+      (result.branch && config.shouldHideBranchName(result.branch))
+    ) {
+      result.branch = null;
+    }
+
+    if (settings.stripUserAgent) {
+      result.user_agent = result.plugin;
+    }
+    return result;
+  }
+
+  async #filterFileName(heartbeat) {
+    const { config, settings } = this.#ctx;
+    if (config.shouldHideFileName(heartbeat.entity)) {
+      heartbeat.entity = WakaPrivacy.hideFileName(heartbeat.entity);
+      heartbeat.lineno = null;
+      heartbeat.cursorpos = null;
+      heartbeat.dependencies = null;
+    } else if (settings.entityMode === WakaPrivacy.ENTITY_BASENAME) {
+      heartbeat.entity = Url.basename(heartbeat.entity) || heartbeat.entity;
+    } else if (settings.entityMode === WakaPrivacy.ENTITY_HASH) {
+      heartbeat.entity = await this.#hashFileName(heartbeat.entity);
+    }
+  }
+
+  #filterProjectName(project) {
+    // A project may be named like an Object.prototype member
+    const projectMap = this.projectMap;
+    if (Object.hasOwn(projectMap, project)) return projectMap[project];
+    if (project && this.#ctx.config.shouldHideProjectName(project))
+      return this.#hideProjectName(project);
+    return project;
+  }
+
+  /**
+   * Project aliases from the `project = alias` lines of the settings
+   * @returns {Object<string, string>} Aliases by project name
+   */
+  get projectMap() {
+    return this.#projectMap.parse(this.#ctx.settings.projectMap);
+  }
+
+  /**
+   * Replace a file name by `HIDDEN` keeping its extension, like wakatime-cli
+   * @param {string} uri - The file uri
+   * @returns {string} The hidden name
+   */
+  static hideFileName(uri) {
+    const ext = Url.extname(uri ?? "") || "";
+    return `HIDDEN${ext}`;
+  }
+
+  /**
+   * A salted SHA-256 of the uri keeps files apart without naming them
+   */
+  async #hashFileName(uri) {
+    const bytes = new TextEncoder().encode(`${this.#salt}:${uri}`);
+    const digest = await window.crypto.subtle.digest("SHA-256", bytes);
+    const hash = Array.from(new Uint8Array(digest), (byte) =>
+      byte.toString(16).padStart(2, "0"),
+    ).join("");
+    return `${hash.slice(0, 16)}${Url.extname(uri ?? "") || ""}`;
+  }
+
+  get #salt() {
+    let salt = localStorage.getItem(WakaPrivacy.SALT_KEY);
+    if (!salt) {
+      const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+      salt = Array.from(bytes, (byte) =>
+        byte.toString(16).padStart(2, "0"),
+      ).join("");
+      localStorage.setItem(WakaPrivacy.SALT_KEY, salt);
+    }
+    return salt;
+  }
+
+  /**
+   * Hidden projects get a random name, kept so the time stays grouped
+   */
+  #hideProjectName(project) {
+    let names = {};
+    try {
+      names =
+        JSON.parse(localStorage.getItem(WakaPrivacy.HIDDEN_PROJECTS_KEY)) ?? {};
+    } catch {}
+
+    if (!Object.hasOwn(names, project)) {
+      names[project] = `project-${Math.random().toString(36).slice(2, 10)}`;
+      localStorage.setItem(
+        WakaPrivacy.HIDDEN_PROJECTS_KEY,
+        JSON.stringify(names),
+      );
+    }
+    return names[project];
+  }
+}
@@ -0,0 +1,154 @@
+const Fs = acode.require("fs");
+const Url = acode.require("url");
+
+export default class WakaProject {
+  static PROJECT_FILE = ".wakatime-project";
+  static MAX_DEPTH = 32;
+  static CACHE_TIMEOUT = 300000; // 5 minutes
+  static REMOTE_PROTOCOLS = ["ftp:", "ftps:", "sftp:"];
+
+  #cache = new Map();
+  #git;
+
+  /**
+   * @param {import("./Git.js").default} git - Resolver for git roots
+   */
+  constructor(git) {
+    this.#git = git;
+  }
+
+  /**
+   * Resolve the project of a file like the WakaTime clients do: the nearest
+   * `.wakatime-project` file, then the nearest git root, then the longest
+   * matching added folder. Remote files belong to their host.
+   * @param {string} fileUri - The file uri
+   * @returns {Promise<{name: string, branch: string|null, root: string}|null>}
+   */
+  async resolve(fileUri) {
+    if (!fileUri) return null;
+
+    const host = WakaProject.getRemoteHost(fileUri);
+    if (host)
+      return { name: host, branch: null, root: new URL(fileUri).origin };
+
+    const dir = Url.dirname(fileUri);
+
+    const cached = this.#cache.get(dir);
+    if (cached && Date.now() - cached.timestamp < WakaProject.CACHE_TIMEOUT)
+      return cached.result;
+
+    const result = this.#lookup(fileUri, dir);
+    this.#cache.set(dir, { result, timestamp: Date.now() });
+    return result;
+  }
+
+  /**
+   * Forget cached results, e.g. after a folder was added or removed
+   */
+  clearCache() {
+    this.#cache.clear();
+  }
+
+  async #lookup(fileUri, dir) {
+    let current = dir;
+
+    for (let depth = 0; current && depth < WakaProject.MAX_DEPTH; depth++) {
+      const projectFile = Url.join(current, WakaProject.PROJECT_FILE);
+      const hasProjectFile = await this.#exists(projectFile);
+      // Directories above the accessible tree can't be read
+      if (hasProjectFile === null) break;
+      if (hasProjectFile) return await this.#readProjectFile(projectFile);
+
+      const parent = Url.dirname(current);
+      if (!parent || parent === current) break;
+      current = parent;
+    }
+
+    const repo = await this.#git.findRepository(dir);
+    if (repo) {
+      return { name: Url.basename(repo.root), branch: null, root: repo.root };
+    }
+
+    const folder = WakaProject.findFolder(fileUri);
+    if (!folder) return null;
+    return {
+      name: Url.basename(folder.url) || folder.title,
+      branch: null,
+      root: folder.url,
+    };
+  }
+
+  /**
+   * Read a `.wakatime-project` file, the first line is the project name and
+   * the optional second line a branch name
+   */
+  async #readProjectFile(url) {
+    const root = Url.dirname(url);
+    let lines = [];
+    try {
+      lines = (await Fs(url).readFile("utf8")).split(/\r?\n/);
+    } catch {}
+
+    return {
+      name: lines[0]?.trim() || Url.basename(root),
+      branch: lines[1]?.trim() || null,
+      root,
+    };
+  }
+
+  async #exists(url) {
+    try {
+      return await Fs(url).exists();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Find the added folder with the longest url containing a file
+   * @param {string} fileUri - The file uri
+   * @returns {Object|undefined} The folder
+   */
+  static findFolder(fileUri) {
+    if (!fileUri) return;
+    let match;
+    for (const folder of window.addedFolder ?? []) {
+      if (!WakaProject.isInside(fileUri, folder.url)) continue;
+      if (!match || folder.url.length > match.url.length) match = folder;
+    }
+    return match;
+  }
+
+  /**
+   * Get the host of a FTP/SFTP uri
+   * @param {string} uri - The uri
+   * @returns {string|null} The host, null for local uris
+   */
+  static getRemoteHost(uri) {
+    if (!uri) return null;
+    try {
+      const url = new URL(uri);
+      if (!WakaProject.REMOTE_PROTOCOLS.includes(url.protocol)) return null;
+      return url.hostname || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a uri is inside a folder, on path boundaries so `app` does not
+   * contain `app2`
+   * @param {string} uri - The uri to check
+   * @param {string} folderUrl - The folder url
+   * @returns {boolean} True if inside
+   */
+  static isInside(uri, folderUrl) {
+    if (!uri || !folderUrl) return false;
+    const base = folderUrl.replace(/\/+$/, "");
+    if (!uri.startsWith(base)) return false;
+
+    // SAF document uris continue a tree uri with "::"
+    const next = uri.charAt(base.length);
+    return next === "" || next === "/" || next === ":";
+  }
+}
@@ -1,57 +1,169 @@
-export default class Queue {
+import WakaEmitter from "./Emitter.js";
+import WakaLogger from "./Logger.js";
+import { createId, createStorage } from "./Storage.js";
+
+/**
+ * Emits `queue:changed` with the status once per tick the items or the
+ * pause state changed, and `queue:failed` with `{ items, error, willRetry }`
+ * once it decided what happens to items that were not delivered
+ */
+export default class Queue extends WakaEmitter {
   static BATCH_SIZE = 25;
+  static MAX_ATTEMPTS = 8;
+  static RETRY_BASE_DELAY = 5000; // 5 seconds
+  static RETRY_MAX_DELAY = 300000; // 5 minutes
+  static STATE_PENDING = "pending";
+  static STATE_IN_FLIGHT = "in-flight";
+  static STATE_ACKED = "acked";
 
   #queue = [];
   #isProcessing = false;
   #timer = null;
-  #storageKey;
+  #storage;
   #saveCallback;
   #processDelay;
-  #saveTimer = null;
-  #needsSave = false;
+  #deadLetter;
+  #maxSize;
+  #retryAt = 0;
+  #pausedUntil = 0;
+  #inFlight = 0;
+  #writes = new Map();
+  #saving = Promise.resolve();
+  #saveScheduled = false;
+  #generation = 0;
+  #notifyScheduled = false;
+  #restored;
+  #ready;
 
-  constructor(storageKey, saveCallback, processDelay = 500) {
-    this.#storageKey = storageKey;
+  /**
+   * @param {string} storageKey - The storage name of the queue
+   * @param {Function} saveCallback - Called with each batch, throws on failure.
+   * May resolve to `{ retry, rejected }` lists of `{ item, error }` for items
+   * of the batch that failed temporarily or were refused
+   * @param {Object} [options]
+   * @param {number} [options.processDelay] - Debounce delay of processing
+   * @param {Object} [options.deadLetter] - Store for items out of attempts
+   * @param {number} [options.maxSize] - Drop the oldest items above this size
+   * @param {Object} [options.storage] - Storage backend, see Storage.js
+   */
+  constructor(
+    storageKey,
+    saveCallback,
+    { processDelay = 500, deadLetter = null, maxSize = 0, storage = null } = {},
+  ) {
+    super();
+    this.#storage = storage ?? createStorage(storageKey);
     this.#saveCallback = saveCallback;
     this.#processDelay = processDelay;
+    this.#deadLetter = deadLetter;
+    this.#maxSize = maxSize;
 
-    this.restore();
+    this.#restored = this.restore();
+    this.#ready = this.#restored;
   }
 
   /**
    * Add an update to the queue
    * @param {Object} data - The data to queue for saving
+   * @param {number} [timestamp] - Time of the update
+   * @param {string} [id] - Stable id of an update moved from another queue
    */
-  add(data, timestamp) {
-    this.#queue.push({
+  add(data, timestamp, id) {
+    if (id && this.#queue.some((item) => item.id === id)) return;
+
+    const item = {
+      id: id ?? createId(),
       data,
       timestamp: timestamp || Date.now(),
-    });
+      attempts: 0,
+      state: Queue.STATE_PENDING,
+    };
+    this.#queue.push(item);
+    this.#schedulePut([item]);
+
+    if (this.#maxSize && this.#queue.length > this.#maxSize) {
+      const dropped = this.#queue.splice(0, this.#queue.length - this.#maxSize);
+      this.#scheduleDelete(dropped);
+      window?.DEBUG &&
+        console.warn(
+          `[WAKATIME:QUEUE] Queue is full, dropped ${dropped.length} oldest updates`,
+        );
+    }
+
+    this.scheduleProcessing();
+  }
+
+  /**
+   * Put previously failed items back into the queue with a fresh attempt count
+   * @param {Array} items - The items to requeue
+   */
+  requeue(items) {
+    if (!items?.length) return;
+    const ids = new Set(this.#queue.map((item) => item.id));
+    const requeued = items
+      .filter((item) => !item.id || !ids.has(item.id))
+      .map(({ id, data, timestamp }) => ({
+        id: id ?? createId(),
+        data,
+        timestamp,
+        attempts: 0,
+        state: Queue.STATE_PENDING,
+      }));
+    this.#queue.push(...requeued);
+    this.#queue.sort((a, b) => a.timestamp - b.timestamp);
+    this.#schedulePut(requeued);
+    this.#retryAt = 0;
 
-    this.#scheduleSave();
     this.scheduleProcessing();
   }
 
   /**
-   * Schedule queue processing with debouncing
+   * Schedule queue processing with debouncing, respecting any retry backoff
+   * and pause
    */
   scheduleProcessing() {
     if (this.#timer) {
       clearTimeout(this.#timer);
+      this.#timer = null;
     }
+    if (this.#pausedUntil === Number.POSITIVE_INFINITY) return;
 
+    const delay = Math.max(
+      this.#processDelay,
+      this.#retryAt - Date.now(),
+      this.#pausedUntil - Date.now(),
+    );
     this.#timer = setTimeout(() => {
+      this.#timer = null;
       this.process();
-    }, this.#processDelay);
+    }, delay);
+  }
+
+  /**
+   * Get the backoff delay for a number of failed attempts, with jitter
+   * @param {number} attempts - Number of failed attempts
+   * @returns {number} Delay in milliseconds
+   */
+  static getRetryDelay(attempts) {
+    const delay = Math.min(
+      Queue.RETRY_MAX_DELAY,
+      Queue.RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1),
+    );
+    return delay / 2 + Math.random() * (delay / 2);
   }
 
   /**
    * Process the queue and save the latest update
    */
   async process() {
+    await this.#ready;
     if (this.#isProcessing || this.#queue.length === 0) {
       return { success: true, processed: 0 };
     }
+    if (this.isPaused) {
+      this.scheduleProcessing();
+      return { success: true, processed: 0, failed: 0, paused: true };
+    }
 
     this.#isProcessing = true;
     let processedCount = 0;
@@ -61,12 +173,43 @@ export default class Queue {
       const batchSize = Math.min(Queue.BATCH_SIZE, this.#queue.length);
       const batch = this.#queue.splice(0, batchSize);
 
+      // Persist the in-flight state before sending, a restart resends it
+      this.#setState(batch, Queue.STATE_IN_FLIGHT);
+      this.#inFlight += batch.length;
+      await this.#schedulePut(batch);
+
       try {
-        await this.#saveCallback(batch);
-        processedCount += batch.length;
+        const { retry = [], rejected = [] } =
+          (await this.#saveCallback(batch)) ?? {};
+        this.#inFlight -= batch.length;
+        this.#handleRejected(rejected);
+
+        const retryItems = new Set(retry.map(({ item }) => item));
+        const acked = batch.filter((item) => !retryItems.has(item));
+        this.#setState(acked, Queue.STATE_ACKED);
+        this.#scheduleDelete(acked);
+        processedCount += batch.length - retry.length - rejected.length;
+        failedCount += retry.length + rejected.length;
+
+        if (retry.length > 0) {
+          this.#handleFailed(retry);
+          break;
+        }
+        this.#retryAt = 0;
       } catch (e) {
+        this.#inFlight -= batch.length;
+        if (this.isPaused) {
+          // The callback paused the queue, keep the batch untouched for later
+          this.#setState(batch, Queue.STATE_PENDING);
+          this.#queue.unshift(...batch);
+          this.#schedulePut(batch);
+          this.scheduleProcessing();
+          this.#emitFailed(batch, e, true);
+          break;
+        }
         failedCount += batch.length;
-        // TODO: Handle failed heartbeats
+        this.#handleFailed(batch.map((item) => ({ item, error: e })));
+        break;
       }
 
       if (this.#queue.length > 0) {
@@ -82,94 +225,229 @@ export default class Queue {
     return { success: true, processed: processedCount, failed: failedCount };
   }
 
+  /**
+   * Put failed items back at the front of the queue and schedule a retry,
+   * moving items that ran out of attempts to the dead-letter store
+   * @param {Array<{item: Object, error: Error}>} failed - The failed items
+   */
+  #handleFailed(failed) {
+    const retry = [];
+    const dead = [];
+    for (const { item, error } of failed) {
+      item.attempts = (item.attempts || 0) + 1;
+      if (this.#deadLetter && item.attempts >= Queue.MAX_ATTEMPTS) {
+        this.#deadLetter.add(item, error);
+        dead.push(item);
+      } else {
+        retry.push(item);
+      }
+    }
+
+    this.#setState(retry, Queue.STATE_PENDING);
+    this.#queue.unshift(...retry);
+    this.#schedulePut(retry);
+    this.#scheduleDelete(dead);
+    this.#emitFailed(dead, failed[0].error, false);
+    this.#emitFailed(retry, failed[0].error, true);
+    if (retry.length === 0) return;
+
+    const attempts = Math.max(...retry.map((item) => item.attempts));
+    this.#retryAt = Date.now() + Queue.getRetryDelay(attempts);
+    this.scheduleProcessing();
+  }
+
+  /**
+   * Record items the receiver refused, they are never retried automatically
+   * @param {Array<{item: Object, error: Error}>} rejected - The rejected items
+   */
+  #handleRejected(rejected) {
+    for (const { item, error } of rejected) {
+      if (this.#deadLetter) {
+        this.#deadLetter.add(item, error);
+      } else {
+        window?.DEBUG &&
+          console.warn("[WAKATIME:QUEUE] Dropped rejected update:", error);
+      }
+    }
+    this.#emitFailed(
+      rejected.map(({ item }) => item),
+      rejected[0]?.error,
+      false,
+    );
+  }
+
+  #emitFailed(items, error, willRetry) {
+    if (items.length === 0) return;
+    this.emit("queue:failed", { items, error, willRetry });
+  }
+
+  /**
+   * Upgrade the data of queued items to a newer format, processing waits
+   * for it to finish
+   * @param {Function} upgrade - Resolves to the new data of an item, or to
+   * the same data when it is current
+   * @returns {Promise<number>} Number of upgraded items
+   */
+  migrate(upgrade) {
+    const migration = this.#ready.then(async () => {
+      const upgraded = [];
+      for (const item of this.#queue) {
+        try {
+          const data = await upgrade(item.data, item.timestamp);
+          if (data === item.data) continue;
+          item.data = data;
+          upgraded.push(item);
+        } catch (error) {
+          WakaLogger.error("Failed to migrate queued update", error);
+        }
+      }
+
+      await this.#schedulePut(upgraded);
+      window?.DEBUG &&
+        upgraded.length > 0 &&
+        console.log(`[WAKATIME:QUEUE] Migrated ${upgraded.length} updates`);
+      return upgraded.length;
+    });
+
+    this.#ready = migration.then(
+      () => {},
+      () => {},
+    );
+    return migration;
+  }
+
+  /**
+   * Stop sending until the given time, or until resumed
+   * @param {number} [until] - Timestamp to resume at, forever if omitted
+   */
+  pause(until = Number.POSITIVE_INFINITY) {
+    this.#pausedUntil = Math.max(this.#pausedUntil, until);
+    this.scheduleProcessing();
+    this.#notify();
+  }
+
+  /**
+   * Resume a paused queue
+   */
+  resume() {
+    this.#pausedUntil = 0;
+    if (this.#queue.length > 0) this.scheduleProcessing();
+    this.#notify();
+  }
+
   /**
    * Clear the queue and remove from storage
    */
   clear() {
     this.#queue = [];
-    this.#clearStorage();
+    this.#retryAt = 0;
+    this.#writes.clear();
+    this.#generation++;
+    this.#saving = this.#saving.then(() =>
+      this.#storage
+        .clear()
+        .catch((error) => WakaLogger.error("Failed to clear queue", error)),
+    );
 
     if (this.#timer) {
       clearTimeout(this.#timer);
       this.#timer = null;
     }
-    if (this.#saveTimer) {
-      clearTimeout(this.#saveTimer);
-      this.#saveTimer = null;
-    }
+    this.#notify();
   }
 
   /**
-   * Restore queue from localStorage
-   * @returns {number} Number of items restored
+   * Restore queue from storage
+   * @returns {Promise<number>} Number of items restored
    */
-  restore() {
+  async restore() {
+    const generation = this.#generation;
     try {
-      const storedData = localStorage.getItem(this.#storageKey);
-      if (storedData) {
-        const restoredQueue = JSON.parse(storedData);
-        if (Array.isArray(restoredQueue)) {
-          this.#queue = restoredQueue;
-          window?.DEBUG &&
-            console.log(
-              `[WAKATIME:QUEUE] Restored ${this.#queue.length} queued updates`,
-            );
-
-          return this.#queue.length;
-        }
-      }
-    } catch (error) {
+      const restoredQueue = await this.#storage.load();
+      // Cleared while loading
+      if (generation !== this.#generation) return 0;
+
+      // Sends interrupted by a restart were never acknowledged, resend them
+      const unacked = restoredQueue.filter(
+        (item) => item.state === Queue.STATE_IN_FLIGHT,
+      );
+      this.#setState(unacked, Queue.STATE_PENDING);
+      this.#schedulePut(unacked);
+
+      const ids = new Set(this.#queue.map((item) => item.id));
+      this.#queue = [
+        ...restoredQueue.filter((item) => !ids.has(item.id)),
+        ...this.#queue,
+      ].sort((a, b) => a.timestamp - b.timestamp);
       window?.DEBUG &&
-        console.warn("[WAKATIME:QUEUE] Failed to restore queue:", error);
-      this.#queue = [];
+        console.log(
+          `[WAKATIME:QUEUE] Restored ${restoredQueue.length} queued updates (${unacked.length} unacknowledged)`,
+        );
+      this.#notify();
+
+      return restoredQueue.length;
+    } catch (error) {
+      WakaLogger.error("Failed to restore queue", error);
     }
 
     return 0;
   }
 
-  /**
-   * Batched localStorage save to improve performance
-   */
-  #scheduleSave() {
-    this.#needsSave = true;
-    if (this.#saveTimer) return;
+  #setState(items, state) {
+    for (const item of items) item.state = state;
+  }
 
-    this.#saveTimer = setTimeout(() => {
-      if (this.#needsSave) {
-        this.#saveToStorage();
-        this.#needsSave = false;
-      }
-      this.#saveTimer = null;
-    }, 100); // Batch saves within 100ms
+  #schedulePut(items) {
+    for (const item of items) this.#writes.set(item.id, item);
+    this.#notify();
+    return this.#scheduleSave();
+  }
+
+  #scheduleDelete(items) {
+    for (const item of items) this.#writes.set(item.id, null);
+    this.#notify();
+    return this.#scheduleSave();
+  }
+
+  #notify() {
+    if (this.#notifyScheduled) return;
+    this.#notifyScheduled = true;
+    queueMicrotask(() => {
+      this.#notifyScheduled = false;
+      this.emit("queue:changed", this.getStatus());
+    });
   }
 
   /**
-   * Save queue to localStorage
+   * Batch the writes of the current tick into one ordered storage write
+   * @returns {Promise} Resolves once the writes are stored
    */
-  #saveToStorage() {
-    try {
-      localStorage.setItem(this.#storageKey, JSON.stringify(this.#queue));
-    } catch (error) {
-      window?.DEBUG &&
-        console.warn(
-          "[WAKATIME:QUEUE] Failed to save queue to localStorage:",
-          error,
-        );
-    }
+  #scheduleSave() {
+    if (this.#saveScheduled) return this.#saving;
+
+    this.#saveScheduled = true;
+    this.#saving = this.#saving.then(() => {
+      this.#saveScheduled = false;
+      return this.#saveToStorage();
+    });
+    return this.#saving;
   }
 
   /**
-   * Remove queue from localStorage
+   * Write the added items and delete the removed ones
    */
-  #clearStorage() {
+  async #saveToStorage() {
+    const writes = [...this.#writes];
+    this.#writes.clear();
+
+    const puts = writes.filter(([, item]) => item).map(([, item]) => item);
+    const deletes = writes.filter(([, item]) => !item).map(([id]) => id);
     try {
-      localStorage.removeItem(this.#storageKey);
+      await this.#restored;
+      await this.#storage.put(puts);
+      await this.#storage.delete(deletes);
     } catch (error) {
-      window?.DEBUG &&
-        console.warn(
-          "[WAKATIME:QUEUE] Failed to clear queue from localStorage:",
-          error,
-        );
+      WakaLogger.error("Failed to save queue", error);
     }
   }
 
@@ -180,8 +458,11 @@ export default class Queue {
   getStatus() {
     return {
       queueLength: this.#queue.length,
+      inFlight: this.#inFlight,
       isProcessing: this.#isProcessing,
       hasTimer: this.#timer !== null,
+      retryAt: this.#retryAt || null,
+      pausedUntil: this.isPaused ? this.#pausedUntil : null,
       oldestItem: this.#queue.length > 0 ? this.#queue[0].timestamp : null,
       newestItem:
         this.#queue.length > 0
@@ -199,6 +480,7 @@ export default class Queue {
       clearTimeout(this.#timer);
       this.#timer = null;
     }
+    this.#retryAt = 0;
 
     return await this.process();
   }
@@ -219,6 +501,14 @@ export default class Queue {
     return this.#queue.length === 0;
   }
 
+  /**
+   * Check if sending is currently paused
+   * @returns {boolean} True if paused
+   */
+  get isPaused() {
+    return this.#pausedUntil > Date.now();
+  }
+
   /**
    * Check if queue is currently processing
    * @returns {boolean} True if processing
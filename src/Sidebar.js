@@ -1,4 +1,5 @@
 import DOMPurify from "dompurify";
+import WakaHistory from "./History.js";
 import SidebarStyle from "./Sidebar.style.js";
 
 const SidebarApps = acode.require("sidebarapps");
@@ -13,10 +14,20 @@ export default class WakaSidebar {
   static SIDEBAR_APP_TITLE = "wakatime";
   static SIDEBAR_APP_ICON_PATH = "assets/wakatime.svg";
   static SIDEBAR_APP_PREPEND = false;
-  static UPDATER_TIMEOUT = 1000;
+  static CLOCK_INTERVAL = 1000;
+  static REMOTE_TOP_SIZE = 3;
+  static HISTORY_RANGES = [
+    ["today", "Today"],
+    ["week", "This week"],
+  ];
 
   #ctx;
-  #updater;
+  #container = null;
+  #nodes = {};
+  #clock = null;
+  #observer = null;
+  #unsubscribers = [];
+  #historyRange = WakaSidebar.HISTORY_RANGES[0][0];
   constructor(ctx) {
     this.#ctx = ctx;
   }
@@ -45,8 +56,18 @@ export default class WakaSidebar {
     document.head.append(SidebarStyle);
   }
 
+  /**
+   * Select the WakaTime app and show the sidebar if it is hidden
+   */
+  open() {
+    this.app?.icon?.click();
+    if (!this.#isShown) acode.exec("toggle-sidebar");
+  }
+
   destroy() {
-    clearInterval(this.#updater);
+    this.#stop();
+    this.#observer?.disconnect();
+    this.#observer = null;
     SidebarStyle.remove();
     SidebarApps.remove(WakaSidebar.SIDEBAR_APP_ID);
   }
@@ -71,12 +92,417 @@ export default class WakaSidebar {
     return parts.join(" ");
   }
 
+  /**
+   * Format a summed up time, unlike `formatDuration` zero is a time too
+   * @param {number} seconds - The time in seconds
+   * @returns {string} The formatted time
+   */
+  formatTotal(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  #getTop(summary, group) {
+    const top = summary[group][0];
+    if (!top) return "none";
+    const name = group === "files" ? Url.basename(top.name) : top.name;
+    return `${name} (${this.formatTotal(top.total)})`;
+  }
+
+  async #getHistory() {
+    const history = this.#ctx.history;
+    const [today, week] = await Promise.all([history.today(), history.week()]);
+    return {
+      today,
+      week,
+      range: this.#historyRange === "week" ? week : today,
+      rangeTitle: WakaSidebar.HISTORY_RANGES.find(
+        ([range]) => range === this.#historyRange,
+      )[1],
+    };
+  }
+
+  /**
+   * Stats from the server, null while not available
+   * @param {Function} request - Called with the stats client
+   */
+  async #getRemote(request) {
+    if (!this.#ctx.apiKey || this.#ctx.api.isAuthRejected) return null;
+    try {
+      return (await request(this.#ctx.api.stats)) ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Progress of the current period of each goal
+   */
+  #renderGoals(goals) {
+    return this.#renderBreakdown(
+      (goals ?? [])
+        .filter((goal) => goal.is_enabled !== false && !goal.is_snoozed)
+        .map((goal) => {
+          const current = goal.chart_data?.at(-1);
+          return {
+            name: goal.title,
+            text: current
+              ? `${current.actual_seconds_text} / ${current.goal_seconds_text}`
+              : goal.status ?? "",
+          };
+        }),
+    );
+  }
+
+  #getRank(leaders) {
+    if (!leaders) return "none";
+    const user = leaders.currentUser;
+    if (!user?.rank) return "not ranked";
+    const total = user.running_total?.human_readable_total;
+    return total ? `#${user.rank} (${total})` : `#${user.rank}`;
+  }
+
+  #renderBreakdown(items) {
+    const top = (items ?? []).slice(0, WakaSidebar.REMOTE_TOP_SIZE);
+    if (!top.length) {
+      return `<div class="waka-item"><span class="waka-subtext">none</span></div>`;
+    }
+    return DOMPurify.sanitize(
+      top
+        .map(
+          ({ name, text }) => `
+            <div class="waka-item">
+              <span class="waka-text">${WakaSidebar.#escape(name)}</span>
+              <span class="waka-subtext">${WakaSidebar.#escape(text)}</span>
+            </div>`,
+        )
+        .join(""),
+    );
+  }
+
+  /**
+   * Names come from the server, show them as text
+   */
+  static #escape(value) {
+    const div = document.createElement("div");
+    div.textContent = value ?? "";
+    return div.innerHTML;
+  }
+
+  #getWarning() {
+    if (!this.#ctx.apiKey) {
+      const pending = this.#ctx.pending.length;
+      return `Not authorized, missing api-key.${pending > 0 ? ` ${pending} heartbeats waiting for authorization.` : ""}`;
+    }
+    if (this.#ctx.api.isAuthRejected)
+      return "API key rejected, update it in the plugin settings.";
+
+    const rateLimitedUntil = this.#ctx.api.rateLimitedUntil;
+    if (rateLimitedUntil)
+      return `Rate limited, sending resumes in ${this.formatDuration(rateLimitedUntil - Date.now())}.`;
+    return null;
+  }
+
+  #getActivity() {
+    const activity = this.#ctx.activity;
+    const activeTime = this.formatDuration(activity.activeTime);
+    return activity.isIdle ? `${activeTime} (idle)` : activeTime;
+  }
+
+  #getApiKeyStatus() {
+    if (!this.#ctx.apiKey) return "none";
+    return this.#ctx.api.isAuthRejected ? "Rejected" : "Authorized";
+  }
+
   #onInit(container) {
     container.classList.add("wakatime");
+    this.#container = container;
+    container.innerHTML = DOMPurify.sanitize(WakaSidebar.#html());
+    this.#queryNodes(container);
+    this.#setEvents();
+
+    // Updates only run while the app can be seen
+    if (window.IntersectionObserver) {
+      this.#observer = new IntersectionObserver(([entry]) => {
+        if (entry?.isIntersecting) this.#start();
+        else this.#stop();
+      });
+      this.#observer.observe(container);
+    }
+  }
+
+  #onSelect() {
+    this.#start();
+  }
+
+  get #isShown() {
+    return (
+      localStorage.getItem("sidebarShown") !== "0" &&
+      localStorage.getItem("sidebarAppsLastSection") ===
+        WakaSidebar.SIDEBAR_APP_ID
+    );
+  }
+
+  #start() {
+    if (!this.#container || this.#clock) return;
+
+    const api = this.#ctx.api;
+    const refreshQueue = () => {
+      this.#updateQueue();
+      this.#updateWarning();
+    };
+    const refreshHeartbeat = () => {
+      this.#updateHeartbeat();
+      this.#updateCurrentFile();
+      this.#updateHistory();
+    };
+    this.#unsubscribers = [
+      api.on("file:changed", () => this.#updateCurrentFile()),
+      api.on("heartbeat:queued", refreshHeartbeat),
+      api.on("heartbeat:sent", () => {
+        this.#updateHeartbeat();
+        this.#updateToday();
+      }),
+      api.on("status:changed", () => {
+        this.#updateStatus();
+        this.#updateWarning();
+        this.#updateToday();
+      }),
+      api.on("category:changed", () => this.#updateCategory()),
+      api.queue.on("queue:changed", refreshQueue),
+      this.#ctx.offline.on("queue:changed", refreshQueue),
+      this.#ctx.pending.on("queue:changed", refreshQueue),
+      this.#ctx.deadLetter.on("queue:changed", refreshQueue),
+      this.#ctx.offline.on("connection:changed", () => this.#updateStatus()),
+    ];
+
+    this.#clock = setInterval(() => {
+      if (!this.#isShown) {
+        this.#stop();
+        return;
+      }
+      this.#updateClock();
+    }, WakaSidebar.CLOCK_INTERVAL);
+
+    this.#updateStatus();
+    this.#updateWarning();
+    this.#updateClock();
+    this.#updateQueue();
+    this.#updateCategory();
+    refreshHeartbeat();
+    this.#updateToday();
+  }
+
+  #stop() {
+    clearInterval(this.#clock);
+    this.#clock = null;
+    for (const unsubscribe of this.#unsubscribers) unsubscribe();
+    this.#unsubscribers = [];
+  }
+
+  /**
+   * Write a text only when it changed
+   */
+  #setText(node, text) {
+    const value = String(text);
+    if (node && node.textContent !== value) node.textContent = value;
+  }
+
+  #setAttribute(node, name, value) {
+    const text = String(value);
+    if (node && node.getAttribute(name) !== text) node.setAttribute(name, text);
+  }
+
+  #setHtml(node, html) {
+    if (node && node.innerHTML !== html) node.innerHTML = html;
+  }
+
+  #updateStatus() {
+    const nodes = this.#nodes;
+    this.#setAttribute(
+      nodes.connection,
+      "data-connection",
+      this.#ctx.offline.isConnected ? "on" : "off",
+    );
+    this.#setText(nodes.apiKey, this.#getApiKeyStatus());
+    this.#setText(nodes.endpoint, this.#ctx.endpointKey || "none");
+  }
+
+  #updateWarning() {
+    const warning = this.#getWarning();
+    this.#nodes.warn.classList.toggle("show", !!warning);
+    if (warning) this.#setText(this.#nodes.warnText, warning);
+  }
+
+  /**
+   * Times relative to now are the only values that change on their own
+   */
+  #updateClock() {
+    const { lastHeartbeat } = this.#ctx.api;
+    this.#setText(this.#nodes.activity, this.#getActivity());
+    this.#setText(
+      this.#nodes.lastTime,
+      lastHeartbeat.timestamp === 0
+        ? "none"
+        : this.formatDuration(Date.now() - lastHeartbeat.timestamp),
+    );
+    if (this.#ctx.api.rateLimitedUntil) this.#updateWarning();
+  }
+
+  #updateQueue() {
+    const nodes = this.#nodes;
+    const deadLetter = this.#ctx.deadLetter;
+    this.#setText(nodes.queueOnline, this.#ctx.api.queue.length);
+    this.#setText(nodes.queueOffline, this.#ctx.offline.length);
+    this.#setText(nodes.queuePending, this.#ctx.pending.length);
+    this.#setAttribute(nodes.queue, "data-failed", deadLetter.length > 0);
+    this.#setText(nodes.queueFailed, deadLetter.length);
+    this.#setText(nodes.queueFailedError, deadLetter.lastError || "");
+  }
+
+  #updateHeartbeat() {
+    const { lastHeartbeat, totalHeartbeats } = this.#ctx.api;
+    this.#setText(this.#nodes.total, totalHeartbeats);
+    this.#setText(
+      this.#nodes.lastFile,
+      Url.basename(lastHeartbeat.fileUri || "none"),
+    );
+    this.#setText(this.#nodes.lastProject, lastHeartbeat.project || "none");
+  }
+
+  #updateCategory() {
+    this.#setText(this.#nodes.category, this.#ctx.api.category);
+  }
+
+  async #updateCurrentFile() {
+    const nodes = this.#nodes;
+    const file = editorManager?.activeFile;
+    const api = this.#ctx.api;
+    this.#setAttribute(nodes.currentFile, "data-isfile", !!file?.session);
+    this.#setText(nodes.fileName, Url.basename(file?.uri || "none"));
+    this.#setText(nodes.fileLanguage, api.getFileLanguage(file) || "none");
+
+    const [project, branch] = await Promise.all([
+      api.getProjectName(file),
+      api.getBranch(file),
+    ]);
+    // Another file may be active by now
+    if (file !== editorManager?.activeFile) return;
+    this.#setText(nodes.fileProject, project || "none");
+    this.#setText(nodes.fileBranch, branch || "none");
+  }
+
+  async #updateHistory() {
+    const nodes = this.#nodes;
+    const history = await this.#getHistory();
+    this.#setText(nodes.historyToday, this.formatTotal(history.today.total));
+    this.#setText(nodes.historyWeek, this.formatTotal(history.week.total));
+    this.#setText(nodes.historyRange, history.rangeTitle);
+    for (const [group, node] of Object.entries(nodes.historyTop)) {
+      this.#setText(node, this.#getTop(history.range, group));
+    }
+  }
+
+  async #updateToday() {
+    const nodes = this.#nodes;
+    const [today, goals, leaders] = await Promise.all([
+      this.#getRemote((stats) => stats.today()),
+      this.#getRemote((stats) => stats.goals()),
+      this.#getRemote((stats) => stats.leaders()),
+    ]);
+    this.#setAttribute(nodes.today, "data-available", !!today);
+    this.#setText(nodes.todayTotal, today?.grand_total?.text || "none");
+    this.#setHtml(nodes.todayProjects, this.#renderBreakdown(today?.projects));
+    this.#setHtml(
+      nodes.todayLanguages,
+      this.#renderBreakdown(today?.languages),
+    );
+    this.#setHtml(nodes.todayGoals, this.#renderGoals(goals));
+    this.#setText(nodes.todayRank, this.#getRank(leaders));
   }
 
-  async #onSelect(container) {
-    const html = `
+  #queryNodes(container) {
+    const $ = (selector) => container.querySelector(selector);
+    const historyTop = {};
+    for (const group of Object.keys(WakaHistory.GROUPS)) {
+      historyTop[group] = $(`.waka-item.top-${group} > .waka-subtext`);
+    }
+
+    this.#nodes = {
+      warn: $(".waka-warn"),
+      warnText: $(".waka-warn > .waka-text"),
+      connection: $(".waka-item.connection"),
+      activity: $(".waka-item.activity > .waka-subtext"),
+      apiKey: $(".waka-item.apikey > .waka-subtext"),
+      endpoint: $(".waka-item.endpoint > .waka-subtext"),
+      total: $(".waka-item.total > .waka-subtext"),
+      lastFile: $(".waka-item._file > .waka-subtext"),
+      lastProject: $(".waka-item.proj > .waka-subtext"),
+      lastTime: $(".waka-item.time > .waka-subtext"),
+      queue: $(".waka-main.queue"),
+      queueOnline: $(".waka-item.online > .waka-text"),
+      queueOffline: $(".waka-item.offline > .waka-text"),
+      queuePending: $(".waka-item.pending > .waka-text"),
+      queueFailed: $(".waka-item.failed > .waka-text"),
+      queueFailedError: $(".waka-item.failed-error > .waka-subtext"),
+      today: $(".waka-main.today"),
+      todayTotal: $(".waka-item.today-total > .waka-subtext"),
+      todayProjects: $(".waka-subitem.today-projects"),
+      todayLanguages: $(".waka-subitem.today-languages"),
+      todayGoals: $(".waka-subitem.today-goals"),
+      todayRank: $(".waka-item.today-rank > .waka-subtext"),
+      historyToday: $(".waka-item.today > .waka-text"),
+      historyWeek: $(".waka-item.week > .waka-text"),
+      historyRange: $(".waka-item.range > .waka-subitem > .waka-subtext"),
+      historyTop,
+      category: $(".waka-item.category > .waka-subitem > .waka-subtext"),
+      currentFile: $(".waka-main.current-file"),
+      fileName: $(".waka-item.filename > .waka-subtext"),
+      fileLanguage: $(".waka-item.filelang > .waka-subtext"),
+      fileProject: $(".waka-item.fileproj > .waka-subtext"),
+      fileBranch: $(".waka-item.filebranch > .waka-subtext"),
+    };
+  }
+
+  #setEvents() {
+    const container = this.#container;
+    const $wakaCategory = container.querySelector(
+      ".waka-item.category > .waka-subitem",
+    );
+
+    $wakaCategory.addEventListener("click", () =>
+      this.#ctx.commands.selectCategory(),
+    );
+
+    const $wakaHistoryRange = container.querySelector(
+      ".waka-item.range > .waka-subitem",
+    );
+
+    $wakaHistoryRange.addEventListener("click", async () => {
+      const value = await Select("History Range", WakaSidebar.HISTORY_RANGES, {
+        default: this.#historyRange,
+      });
+      if (!value) return;
+      this.#historyRange = value;
+      this.#updateHistory();
+    });
+
+    const $wakaRetryFailed = container.querySelector(".waka-button.retry");
+    const $wakaDiscardFailed = container.querySelector(".waka-button.discard");
+
+    $wakaRetryFailed.addEventListener("click", () => {
+      this.#ctx.api.retryFailed();
+      this.#updateQueue();
+    });
+    $wakaDiscardFailed.addEventListener("click", () => {
+      this.#ctx.deadLetter.clear();
+      this.#updateQueue();
+    });
+  }
+
+  static #html() {
+    return `
 		  <div class="waka-header">
 		    <span class="icon wakatime"></span>
         <div class="waka-title">
@@ -90,25 +516,25 @@ export default class WakaSidebar {
       </div>
       <div class="waka-body">
         <div class="waka-main status">
-          <div class="waka-item connection" data-connection="${this.#ctx.offline.isConnected ? "on" : "off"}">
+          <div class="waka-item connection" data-connection="off">
             <span class="waka-text">Connection</span>
             <span class="waka-icon"></span>
             <span class="waka-subtext"></span>
           </div>
           <div class="waka-item activity">
             <span class="waka-text">Activity</span>
-            <span class="waka-subtext">${this.formatDuration(Date.now() - this.#ctx.activityStart)}</span>
+            <span class="waka-subtext"></span>
           </div>
           <div class="waka-item api">
             <span class="waka-text">API Status</span>
             <div class="waka-subitem">
               <div class="waka-item apikey">
                 <span class="waka-text">APi Key</span>
-                <span class="waka-subtext">${this.#ctx.apiKey ? "Authorized" : "none"}</span>
+                <span class="waka-subtext"></span>
               </div>
               <div class="waka-item endpoint">
                 <span class="waka-text">Endpoint</span>
-                <span class="waka-subtext">${this.#ctx.endpointKey || "none"}</span>
+                <span class="waka-subtext"></span>
               </div>
             </div>
           </div>
@@ -116,38 +542,121 @@ export default class WakaSidebar {
         <div class="waka-main heartbeat">
           <div class="waka-item total">
             <span class="waka-text">Total Heartbeats</span>
-            <span class="waka-subtext">${this.#ctx.api.totalHeartbeats}</span>
+            <span class="waka-subtext"></span>
           </div>
           <div class="waka-item last">
             <span class="waka-text">Last Heartbeat</span>
             <div class="waka-subitem">
               <div class="waka-item _file">
                 <span class="waka-text">File</span>
-                <span class="waka-subtext">${Url.basename(this.#ctx.api.lastHeartbeat.fileUri || "none")}</span>
+                <span class="waka-subtext"></span>
               </div>
               <div class="waka-item proj">
                 <span class="waka-text">Project</span>
-                <span class="waka-subtext">${this.#ctx.api.lastHeartbeat.project || "none"}</span>
+                <span class="waka-subtext"></span>
               </div>
               <div class="waka-item time">
                 <span class="waka-text">Time</span>
-                <span class="waka-subtext">${this.#ctx.api.lastHeartbeat.timestamp === 0 ? "none" : this.formatDuration(Date.now() - this.#ctx.api.lastHeartbeat.timestamp)}</span>
+                <span class="waka-subtext"></span>
               </div>
             </div>
           </div>
         </div>
-        <div class="waka-main queue">
+        <div class="waka-main queue" data-failed="false">
           <div class="waka-item">
             <span class="waka-text">Queue</span>
             <div class="waka-subitem type-square">
               <div class="waka-item online">
-                <span class="waka-text">${this.#ctx.api.queue.length}</span>
+                <span class="waka-text"></span>
                 <span class="waka-subtext">online</span>
               </div>
               <div class="waka-item offline">
-                <span class="waka-text">${this.#ctx.offline.length}</span>
+                <span class="waka-text"></span>
                 <span class="waka-subtext">offline</span>
               </div>
+              <div class="waka-item pending">
+                <span class="waka-text"></span>
+                <span class="waka-subtext">pending</span>
+              </div>
+              <div class="waka-item failed">
+                <span class="waka-text"></span>
+                <span class="waka-subtext">failed</span>
+              </div>
+            </div>
+          </div>
+          <div class="waka-item failed-error">
+            <span class="waka-subtext"></span>
+          </div>
+          <div class="waka-item failed-actions">
+            <button class="waka-button retry">Retry failed</button>
+            <button class="waka-button discard">Discard failed</button>
+          </div>
+        </div>
+        <div class="waka-main today" data-available="false">
+          <div class="waka-item today-total">
+            <span class="waka-text">Today</span>
+            <span class="waka-subtext"></span>
+          </div>
+          <div class="waka-item">
+            <span class="waka-text">Projects</span>
+            <div class="waka-subitem today-projects"></div>
+          </div>
+          <div class="waka-item">
+            <span class="waka-text">Languages</span>
+            <div class="waka-subitem today-languages"></div>
+          </div>
+          <div class="waka-item">
+            <span class="waka-text">Goals</span>
+            <div class="waka-subitem today-goals"></div>
+          </div>
+          <div class="waka-item today-rank">
+            <span class="waka-text">Leaderboard</span>
+            <span class="waka-subtext"></span>
+          </div>
+        </div>
+        <div class="waka-main history">
+          <div class="waka-item">
+            <span class="waka-text">Local History</span>
+            <div class="waka-subitem type-square">
+              <div class="waka-item today">
+                <span class="waka-text"></span>
+                <span class="waka-subtext">today</span>
+              </div>
+              <div class="waka-item week">
+                <span class="waka-text"></span>
+                <span class="waka-subtext">this week</span>
+              </div>
+            </div>
+          </div>
+          <div class="waka-item range">
+            <span class="waka-text">Top Of</span>
+            <div class="waka-subitem type-select">
+              <span class="waka-subtext"></span>
+              <span class="icon keyboard_arrow_down"></span>
+            </div>
+          </div>
+          <div class="waka-item">
+            <div class="waka-subitem">
+              <div class="waka-item top-projects">
+                <span class="waka-text">Project</span>
+                <span class="waka-subtext"></span>
+              </div>
+              <div class="waka-item top-languages">
+                <span class="waka-text">Language</span>
+                <span class="waka-subtext"></span>
+              </div>
+              <div class="waka-item top-files">
+                <span class="waka-text">File</span>
+                <span class="waka-subtext"></span>
+              </div>
+              <div class="waka-item top-branches">
+                <span class="waka-text">Branch</span>
+                <span class="waka-subtext"></span>
+              </div>
+              <div class="waka-item top-categories">
+                <span class="waka-text">Category</span>
+                <span class="waka-subtext"></span>
+              </div>
             </div>
           </div>
         </div>
@@ -155,164 +664,34 @@ export default class WakaSidebar {
           <div class="waka-item category">
             <span class="waka-text">Category</span>
             <div class="waka-subitem type-select">
-              <span class="waka-subtext">${this.#ctx.api.category}</span>
+              <span class="waka-subtext"></span>
               <span class="icon keyboard_arrow_down"></span>
             </div>
           </div>
         </div>
-        <div class="waka-main current-file" data-isfile="${!!editorManager?.activeFile?.session}">
+        <div class="waka-main current-file" data-isfile="false">
           <div class="waka-item">
             <span class="waka-text"></span>
             <div class="waka-subitem">
               <div class="waka-item filename">
                 <span class="waka-text">Name</span>
-                <span class="waka-subtext">${Url.basename(editorManager?.activeFile?.uri || "none")}</span>
+                <span class="waka-subtext"></span>
               </div>
               <div class="waka-item filelang">
                 <span class="waka-text">Language</span>
-                <span class="waka-subtext">${this.#ctx.api.getFileLanguage(editorManager?.activeFile) || "none"}</span>
+                <span class="waka-subtext"></span>
               </div>
               <div class="waka-item fileproj">
                 <span class="waka-text">Project</span>
-                <span class="waka-subtext">${this.#ctx.api.getProjectName(editorManager?.activeFile) || "none"}</span>
+                <span class="waka-subtext"></span>
               </div>
               <div class="waka-item filebranch">
                 <span class="waka-text">Branch</span>
-                <span class="waka-subtext">${(await this.#ctx.api.getBranch(editorManager?.activeFile)) || "none"}</span>
+                <span class="waka-subtext"></span>
               </div>
             </div>
           </div>
         </div>
       </div>`;
-    container.innerHTML = DOMPurify.sanitize(html);
-    await this.#setUpdater(container);
-    await this.#setEvents(container);
-  }
-
-  async #setUpdater(container) {
-    this.#updater = await setInterval(async () => {
-      if (localStorage.getItem("sidebarShown") === "0") return;
-      if (
-        localStorage.getItem("sidebarAppsLastSection") !==
-        WakaSidebar.SIDEBAR_APP_ID
-      )
-        clearInterval(this.#updater);
-
-      const $wakaWarn = container.querySelector(".waka-warn");
-      const $wakaWarnText = container.querySelector(".waka-warn > .waka-text");
-      const $wakaConnection = container.querySelector(".waka-item.connection");
-      const $wakaActivity = container.querySelector(
-        ".waka-item.activity > .waka-subtext",
-      );
-      const $wakaApiKey = container.querySelector(
-        ".waka-item.apikey > .waka-subtext",
-      );
-      const $wakaEndpoint = container.querySelector(
-        ".waka-item.endpoint > .waka-subtext",
-      );
-      const $wakaTotalHeartbeats = container.querySelector(
-        ".waka-item.total > .waka-subtext",
-      );
-      const $wakaLastHeartbeatFile = container.querySelector(
-        ".waka-item._file > .waka-subtext",
-      );
-      const $wakaLastHeartbeatProject = container.querySelector(
-        ".waka-item.proj > .waka-subtext",
-      );
-      const $wakaLastHeartbeatTimestamp = container.querySelector(
-        ".waka-item.time > .waka-subtext",
-      );
-      const $wakaQueueOnline = container.querySelector(
-        ".waka-item.online > .waka-text",
-      );
-      const $wakaQueueOffline = container.querySelector(
-        ".waka-item.offline > .waka-text",
-      );
-      const $wakaCategory = container.querySelector(
-        ".waka-item.category > .waka-subitem > .waka-subtext",
-      );
-      const $wakaCurrentFile = container.querySelector(
-        ".waka-main.current-file",
-      );
-      const $wakaCurrentFileName = container.querySelector(
-        ".waka-item.filename > .waka-subtext",
-      );
-      const $wakaCurrentFileLang = container.querySelector(
-        ".waka-item.filelang > .waka-subtext",
-      );
-      const $wakaCurrentFileProj = container.querySelector(
-        ".waka-item.fileproj > .waka-subtext",
-      );
-      const $wakaCurrentFileBranch = container.querySelector(
-        ".waka-item.filebranch > .waka-subtext",
-      );
-
-      // warn
-      if (!this.#ctx.apiKey) {
-        $wakaWarn.classList.add("show");
-        $wakaWarnText.innerHTML = "Not authorized, missing api-key.";
-      } else if ($wakaWarn.classList.contains("show")) {
-        $wakaWarn.classList.remove("show");
-      }
-
-      // items
-      $wakaConnection.setAttribute(
-        "data-connection",
-        this.#ctx.offline.isConnected ? "on" : "off",
-      );
-      $wakaActivity.innerHTML = this.formatDuration(
-        Date.now() - this.#ctx.activityStart,
-      );
-
-      $wakaApiKey.innerHTML = this.#ctx.apiKey ? "Authorized" : "none";
-      $wakaEndpoint.innerHTML = this.#ctx.endpointKey || "none";
-
-      $wakaTotalHeartbeats.innerHTML = this.#ctx.api.totalHeartbeats;
-
-      $wakaLastHeartbeatFile.innerHTML = Url.basename(
-        this.#ctx.api.lastHeartbeat.fileUri || "none",
-      );
-      $wakaLastHeartbeatProject.innerHTML =
-        this.#ctx.api.lastHeartbeat.project || "none";
-      $wakaLastHeartbeatTimestamp.innerHTML =
-        this.#ctx.api.lastHeartbeat.timestamp === 0
-          ? "none"
-          : this.formatDuration(
-              Date.now() - this.#ctx.api.lastHeartbeat.timestamp,
-            );
-
-      $wakaQueueOnline.innerHTML = this.#ctx.api.queue.length;
-      $wakaQueueOffline.innerHTML = this.#ctx.offline.length;
-
-      $wakaCategory.innerHTML = this.#ctx.api.category;
-
-      $wakaCurrentFile.setAttribute(
-        "data-isfile",
-        !!editorManager?.activeFile?.session,
-      );
-      $wakaCurrentFileName.innerHTML = Url.basename(
-        editorManager?.activeFile?.uri || "none",
-      );
-      $wakaCurrentFileLang.innerHTML =
-        this.#ctx.api.getFileLanguage(editorManager?.activeFile) || "none";
-      $wakaCurrentFileProj.innerHTML =
-        this.#ctx.api.getProjectName(editorManager?.activeFile) || "none";
-      $wakaCurrentFileBranch.innerHTML =
-        (await this.#ctx.api.getBranch(editorManager?.activeFile)) || "none";
-    }, WakaSidebar.UPDATER_TIMEOUT);
-  }
-
-  async #setEvents(container) {
-    const $wakaCategory = container.querySelector(
-      ".waka-item.category > .waka-subitem",
-    );
-
-    $wakaCategory.addEventListener("click", async () => {
-      const value = await Select(
-        "Heartbeats Category",
-        this.#ctx.api.constructor.CATEGORY_TYPES,
-      );
-      this.#ctx.api.category = value;
-    });
   }
 }
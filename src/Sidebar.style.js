@@ -172,6 +172,28 @@ export default (SidebarStyle = tag("style", {
       justify-content: center;
       width: 100%;
     }
+    .waka-main.queue[data-failed="false"] > .waka-item.failed-error,
+    .waka-main.queue[data-failed="false"] > .waka-item.failed-actions {
+      display: none;
+    }
+    .waka-item.failed-error > .waka-subtext {
+      max-width: 100%;
+    }
+    .waka-item.failed-actions {
+      flex-direction: row;
+    }
+    .waka-button {
+      flex-grow: 1;
+      padding: .5rem;
+      border-radius: .5rem;
+      border: 1px solid var(--border-color);
+      background-color: var(--primary-color);
+      color: var(--primary-text-color);
+      font-size: .8rem;
+    }
+    .waka-button.discard {
+      color: rgba(240, 10, 10, 0.8);
+    }
     .waka-item:has(.waka-subitem.type-select) {
       flex-direction: row;
     }
@@ -192,6 +214,9 @@ export default (SidebarStyle = tag("style", {
     .waka-subitem.type-select .icon {
       opacity: .5;
     }
+    .waka-main.today[data-available="false"] > .waka-item:has(.waka-subitem) {
+      display: none;
+    }
     .waka-main.current-file[data-isfile="false"] {
       justify-content: center;
       padding: 1rem;
@@ -0,0 +1,143 @@
+export default class WakaStats {
+  static CACHE_TTL = 300000; // 5 minutes
+  static TODAY_CACHE_TTL = 60000; // 1 minute
+  static LEADERS_CACHE_TTL = 3600000; // 1 hour
+  static RANGES = [
+    "last_7_days",
+    "last_30_days",
+    "last_6_months",
+    "last_year",
+    "all_time",
+  ];
+
+  #ctx;
+  #api;
+  #cache = new Map();
+
+  /**
+   * @param {Object} ctx - The plugin
+   * @param {import("./Api.js").default} api - For the endpoint and plugin
+   */
+  constructor(ctx, api) {
+    this.#ctx = ctx;
+    this.#api = api;
+  }
+
+  /**
+   * Today's total with its breakdown, as shown by the status bar of the
+   * desktop plugins
+   * @returns {Promise<Object>} The summary of today
+   */
+  today() {
+    return this.#get("/users/current/status_bar/today", {
+      ttl: WakaStats.TODAY_CACHE_TTL,
+    });
+  }
+
+  /**
+   * Daily summaries of a range of days
+   * @param {Object} options
+   * @param {string} [options.start] - First day, `YYYY-MM-DD`
+   * @param {string} [options.end] - Last day, `YYYY-MM-DD`
+   * @param {string} [options.range] - A named range instead of start and end
+   * @param {string} [options.project] - Only this project
+   * @returns {Promise<Array<Object>>} The summaries by day
+   */
+  summaries({ start, end, range, project } = {}) {
+    const params = new URLSearchParams();
+    if (range) {
+      params.set("range", range);
+    } else {
+      params.set("start", start);
+      params.set("end", end ?? start);
+    }
+    if (project) params.set("project", project);
+    return this.#get(`/users/current/summaries?${params}`);
+  }
+
+  /**
+   * Stats of a range
+   * @param {string} [range] - One of `WakaStats.RANGES`
+   * @returns {Promise<Object>} The stats
+   */
+  stats(range = WakaStats.RANGES[0]) {
+    return this.#get(`/users/current/stats/${encodeURIComponent(range)}`);
+  }
+
+  /**
+   * Coding goals, servers without goals resolve to an empty list
+   * @returns {Promise<Array<Object>>} The goals
+   */
+  async goals() {
+    return (await this.#get("/users/current/goals", { missing: [] })) ?? [];
+  }
+
+  /**
+   * The public leaderboard of the last 7 days with the rank of the user,
+   * servers without a leaderboard resolve to null
+   * @returns {Promise<Object|null>} The `leaders`, the `currentUser` entry,
+   * null while not ranked, and the `range`
+   */
+  leaders() {
+    return this.#get("/leaders", {
+      ttl: WakaStats.LEADERS_CACHE_TTL,
+      missing: null,
+      // The rank of the user is next to `data`
+      select: ({ data, current_user, range }) => ({
+        leaders: data ?? [],
+        currentUser: current_user ?? null,
+        range: range ?? null,
+      }),
+    });
+  }
+
+  /**
+   * Forget cached responses, e.g. after the key or endpoint changed
+   */
+  clearCache() {
+    this.#cache.clear();
+  }
+
+  /**
+   * Fetch the `data` of an endpoint, cached per url for `ttl`. Offline, a
+   * stale response is better than none.
+   * @param {string} path - The path, with its query
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Time to keep the response
+   * @param {*} [options.missing] - Result when the server lacks the endpoint
+   * @param {Function} [options.select] - Picks the result from the body
+   */
+  async #get(
+    path,
+    { ttl = WakaStats.CACHE_TTL, missing, select = (body) => body.data } = {},
+  ) {
+    const url = `${this.#api.apiBaseUrl.replace(/\/+$/, "")}${path}`;
+    const cached = this.#cache.get(url);
+    if (cached) {
+      const isFresh = Date.now() - cached.timestamp < ttl;
+      if (isFresh || !this.#ctx.offline.isConnected) return cached.result;
+    }
+    if (!this.#ctx.apiKey) throw new Error("Not authorized, missing api-key");
+
+    const result = this.#fetch(url, missing, select);
+    this.#cache.set(url, { result, timestamp: Date.now() });
+    result.catch(() => {
+      if (this.#cache.get(url)?.result === result) this.#cache.delete(url);
+    });
+    return result;
+  }
+
+  async #fetch(url, missing, select) {
+    const response = await fetch(url, {
+      headers: {
+        Authorization: `Basic ${btoa(this.#ctx.apiKey)}`,
+        "User-Agent": this.#api.getPlugin(),
+      },
+    });
+    if (response.status === 404 && missing !== undefined) return missing;
+    if (!response.ok) {
+      throw new Error(`API Error, status: ${response.status}`);
+    }
+    return select(await response.json());
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * Create a unique id for a stored item
+ * @returns {string} The id
+ */
+export function createId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Create the default storage backend for a queue
+ * @param {string} name - The queue name, also its legacy localStorage key
+ * @returns {IndexedDBStorage|LocalStorageStorage} The storage backend
+ */
+export function createStorage(name) {
+  return window.indexedDB
+    ? new IndexedDBStorage(name)
+    : new LocalStorageStorage(name);
+}
+
+/**
+ * Queue storage backed by IndexedDB, items of every queue share one object
+ * store keyed by `[queue, id]` and are written and deleted one by one.
+ */
+export class IndexedDBStorage {
+  static DB_NAME = "wakatime";
+  static DB_VERSION = 2;
+  static STORE_NAME = "queue";
+  static HISTORY_STORE_NAME = "history";
+  static #db = null;
+
+  #name;
+  #migrated = false;
+
+  constructor(name) {
+    this.#name = name;
+  }
+
+  /**
+   * Open the shared database
+   * @returns {Promise<IDBDatabase>} The database
+   */
+  static open() {
+    IndexedDBStorage.#db ??= new Promise((resolve, reject) => {
+      let blocked = false;
+      const request = window.indexedDB.open(
+        IndexedDBStorage.DB_NAME,
+        IndexedDBStorage.DB_VERSION,
+      );
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(IndexedDBStorage.STORE_NAME)) {
+          const store = db.createObjectStore(IndexedDBStorage.STORE_NAME, {
+            keyPath: ["queue", "id"],
+          });
+          store.createIndex("queue", "queue");
+        }
+        // Version 2 added the heartbeat history
+        if (
+          !db.objectStoreNames.contains(IndexedDBStorage.HISTORY_STORE_NAME)
+        ) {
+          const history = db.createObjectStore(
+            IndexedDBStorage.HISTORY_STORE_NAME,
+            { keyPath: "id" },
+          );
+          history.createIndex("time", "time");
+        }
+      };
+      // A connection of an older plugin version that is still open would
+      // keep the upgrade waiting, fail instead and open again on next use
+      request.onblocked = () => {
+        blocked = true;
+        IndexedDBStorage.#db = null;
+        reject(new Error(`${IndexedDBStorage.DB_NAME} database is blocked`));
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Let a newer plugin version upgrade the database
+        db.onversionchange = () => IndexedDBStorage.close();
+        resolve(db);
+      };
+      request.onerror = () => {
+        IndexedDBStorage.#db = null;
+        reject(request.error);
+      };
+    });
+    return IndexedDBStorage.#db;
+  }
+
+  /**
+   * Close the shared database, the next use opens it again
+   */
+  static close() {
+    const db = IndexedDBStorage.#db;
+    IndexedDBStorage.#db = null;
+    db?.then((db) => db.close()).catch(() => {});
+  }
+
+  /**
+   * Load all items of the queue, migrating legacy localStorage data once
+   * @returns {Promise<Array>} The stored items
+   */
+  async load() {
+    if (!this.#migrated) {
+      await this.#migrate();
+      this.#migrated = true;
+    }
+
+    const records = await this.#transaction("readonly", (store) =>
+      store.index("queue").getAll(this.#name),
+    );
+    return records
+      .map(({ queue, ...item }) => item)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Add or update items
+   * @param {Array} items - Items with an `id`
+   */
+  async put(items) {
+    if (!items.length) return;
+    await this.#transaction("readwrite", (store) => {
+      for (const item of items) store.put({ ...item, queue: this.#name });
+    });
+  }
+
+  /**
+   * Delete items by id
+   * @param {Array<string>} ids - The item ids
+   */
+  async delete(ids) {
+    if (!ids.length) return;
+    await this.#transaction("readwrite", (store) => {
+      for (const id of ids) store.delete([this.#name, id]);
+    });
+  }
+
+  /**
+   * Delete all items of the queue
+   */
+  async clear() {
+    await this.#transaction("readwrite", (store) => {
+      const request = store
+        .index("queue")
+        .openKeyCursor(IDBKeyRange.only(this.#name));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    });
+  }
+
+  async #transaction(mode, callback) {
+    const db = await IndexedDBStorage.open();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IndexedDBStorage.STORE_NAME, mode);
+      const request = callback(tx.objectStore(IndexedDBStorage.STORE_NAME));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Move the queue saved by older versions from localStorage
+   */
+  async #migrate() {
+    const storedData = localStorage.getItem(this.#name);
+    if (storedData === null) return;
+
+    let items = [];
+    try {
+      items = JSON.parse(storedData);
+    } catch {}
+
+    if (Array.isArray(items) && items.length > 0) {
+      await this.put(
+        items.map((item) => ({
+          ...item,
+          id: item.id ?? createId(),
+          attempts: item.attempts ?? 0,
+        })),
+      );
+      window?.DEBUG &&
+        console.log(
+          `[WAKATIME:STORAGE] Migrated ${items.length} items of ${this.#name}`,
+        );
+    }
+    localStorage.removeItem(this.#name);
+  }
+}
+
+/**
+ * Queue storage backed by localStorage, used where IndexedDB is missing.
+ * Every write rewrites the whole queue.
+ */
+export class LocalStorageStorage {
+  #name;
+  #items = null;
+
+  constructor(name) {
+    this.#name = name;
+  }
+
+  async load() {
+    return [...this.#read().values()];
+  }
+
+  async put(items) {
+    const stored = this.#read();
+    for (const item of items) stored.set(item.id, item);
+    this.#write();
+  }
+
+  async delete(ids) {
+    const stored = this.#read();
+    for (const id of ids) stored.delete(id);
+    this.#write();
+  }
+
+  async clear() {
+    this.#items = new Map();
+    localStorage.removeItem(this.#name);
+  }
+
+  #read() {
+    if (this.#items) return this.#items;
+
+    let items = [];
+    try {
+      items = JSON.parse(localStorage.getItem(this.#name)) ?? [];
+    } catch {}
+
+    this.#items = new Map();
+    if (Array.isArray(items)) {
+      for (const item of items) {
+        const id = item.id ?? createId();
+        this.#items.set(id, { ...item, id, attempts: item.attempts ?? 0 });
+      }
+    }
+    return this.#items;
+  }
+
+  #write() {
+    localStorage.setItem(this.#name, JSON.stringify([...this.#items.values()]));
+  }
+}
+
+/**
+ * Heartbeat history backed by IndexedDB, records are indexed by their time
+ * in seconds. Without IndexedDB the history only lives in memory.
+ */
+export class HistoryStorage {
+  #records = window.indexedDB ? null : [];
+
+  /**
+   * Add records
+   * @param {Array<Object>} records - Records with an `id` and a `time`
+   */
+  async add(records) {
+    if (!records.length) return;
+    if (this.#records) {
+      this.#records.push(...records);
+      return;
+    }
+    await this.#transaction("readwrite", (store) => {
+      for (const record of records) store.put(record);
+    });
+  }
+
+  /**
+   * Get the records of a time range, sorted by time
+   * @param {number} start - Start time in seconds, inclusive
+   * @param {number} end - End time in seconds, exclusive
+   * @returns {Promise<Array<Object>>} The records
+   */
+  async range(start, end) {
+    if (this.#records) {
+      return this.#records
+        .filter((record) => record.time >= start && record.time < end)
+        .sort((a, b) => a.time - b.time);
+    }
+    return await this.#transaction("readonly", (store) =>
+      store.index("time").getAll(IDBKeyRange.bound(start, end, false, true)),
+    );
+  }
+
+  /**
+   * Delete the records older than a time
+   * @param {number} time - Time in seconds
+   */
+  async prune(time) {
+    if (this.#records) {
+      this.#records = this.#records.filter((record) => record.time >= time);
+      return;
+    }
+    await this.#transaction("readwrite", (store) => {
+      const request = store
+        .index("time")
+        .openKeyCursor(IDBKeyRange.upperBound(time, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+    });
+  }
+
+  /**
+   * Delete all records
+   */
+  async clear() {
+    if (this.#records) {
+      this.#records = [];
+      return;
+    }
+    await this.#transaction("readwrite", (store) => store.clear());
+  }
+
+  async #transaction(mode, callback) {
+    const db = await IndexedDBStorage.open();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(IndexedDBStorage.HISTORY_STORE_NAME, mode);
+      const request = callback(
+        tx.objectStore(IndexedDBStorage.HISTORY_STORE_NAME),
+      );
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
@@ -1,36 +1,66 @@
 import plugin from "../plugin.json";
+import WakaActivity from "./Activity.js";
 import WakaAPI from "./Api.js";
+import WakaCategory from "./Category.js";
+import WakaCommands from "./Commands.js";
+import WakaConfig from "./Config.js";
+import WakaDeadLetter from "./DeadLetter.js";
+import WakaHistory from "./History.js";
+import WakaIndicator from "./Indicator.js";
+import WakaLanguage from "./Language.js";
 import WakaOffline from "./Offline.js";
+import WakaPending from "./Pending.js";
+import WakaPrivacy from "./Privacy.js";
 import WakaSidebar from "./Sidebar.js";
+import { IndexedDBStorage } from "./Storage.js";
 const appSettings = acode.require("settings");
 
 export class Wakatime {
-  activityStart = Date.now();
   constructor() {
     if (!appSettings.value[plugin.id]) {
       appSettings.value[plugin.id] = {
         saveData: false,
         endpointKey: WakaAPI.API_BASE_URL,
         apiKey: null,
+        configPath: WakaConfig.DEFAULT_PATH,
       };
     }
   }
 
   async init(baseUrl, $page, { cacheFileUrl, cacheFile, firstInit }) {
     this.baseUrl = baseUrl;
+    this.config = new WakaConfig(this);
+    await this.config.load();
+    this.privacy = new WakaPrivacy(this);
+    this.category = new WakaCategory(this);
+    this.language = new WakaLanguage(this);
+    this.activity = new WakaActivity(this);
+    this.deadLetter = new WakaDeadLetter(this);
+    this.history = new WakaHistory(this);
+    this.pending = new WakaPending(this);
     this.offline = new WakaOffline(this);
     this.api = new WakaAPI(this, this.offline);
     this.sidebar = new WakaSidebar(this);
+    this.indicator = new WakaIndicator(this);
+    this.commands = new WakaCommands(this);
 
     await this.sidebar.init();
-    acode.define("wakatime", this.api);
+    this.indicator.init();
+    this.commands.init();
+    acode.define("wakatime", this.api.createModule());
     acode.define("@wakatime/offline", this.offline);
   }
 
   async destroy() {
     this.offline.destroy();
     this.api.destroy();
+    this.commands.destroy();
+    this.indicator.destroy();
     this.sidebar.destroy();
+    this.activity.destroy();
+    this.deadLetter.destroy();
+    this.pending.destroy();
+    IndexedDBStorage.close();
     delete appSettings.value[plugin.id];
     appSettings.update(false);
     acode.define("wakatime", undefined);
@@ -42,7 +72,7 @@ export class Wakatime {
   }
 
   get apiKey() {
-    return appSettings.value[plugin.id]?.apiKey;
+    return appSettings.value[plugin.id]?.apiKey || this.config?.apiKey;
   }
 
   set apiKey(v) {
@@ -50,18 +80,55 @@ export class Wakatime {
   }
 
   get endpointKey() {
-    return appSettings.value[plugin.id]?.endpointKey;
+    // The config file only applies while the default endpoint is set
+    const endpointKey = appSettings.value[plugin.id]?.endpointKey;
+    if (endpointKey && endpointKey !== WakaAPI.API_BASE_URL) return endpointKey;
+    return this.config?.apiUrl || endpointKey;
   }
 
   set endpointKey(v) {
     appSettings.value[plugin.id].endpointKey = v;
   }
 
+  /**
+   * Use a new API key, heartbeats waiting for one are sent with it
+   * @param {string} value - The API key
+   */
+  setApiKey(value) {
+    this.apiKey = value.trim();
+    this.api.resetAuth();
+    if (WakaAPI.isApiKey(this.apiKey)) this.api.flushPending();
+  }
+
+  /**
+   * Drop every heartbeat not sent yet
+   */
+  clearQueues() {
+    this.api.queue.clear();
+    this.offline.clear();
+    this.deadLetter.clear();
+    this.pending.clear();
+  }
+
   get pSettings() {
     const API_KEY = "api_key";
     const ENDPOINT_KEY = "endpoint_key";
+    const CONFIG_PATH = "config_path";
+    const IDLE_TIMEOUT = "idle_timeout";
+    const TRACK_ALL_FILES = "track_all_files";
+    const DEFAULT_PROJECT = "default_project";
+    const ENTITY_MODE = "entity_mode";
+    const PROJECT_MAP = "project_map";
+    const LANGUAGE_MAP = "language_map";
+    const AUTO_CATEGORY = "auto_category";
+    const CATEGORY_RULES = "category_rules";
+    const SHOW_INDICATOR = "show_indicator";
+    const COMMAND_KEYS = "command_keys";
+    const HIDE_BRANCH_NAMES = "hide_branch_names";
+    const STRIP_USER_AGENT = "strip_user_agent";
     const SAVE_QUEUE_AFTER_DESTROY = "save_queue_after_destroy";
     const CLEAR_QUEUE_DATA = "clear_queue_data";
+    const CLEAR_HISTORY = "clear_history";
 
     return {
       list: [
@@ -89,6 +156,109 @@ export class Wakatime {
             test: WakaAPI.apiEndpointRegex,
           },
         },
+        {
+          key: CONFIG_PATH,
+          text: "WakaTime Config File",
+          value: this.settings.configPath ?? WakaConfig.DEFAULT_PATH,
+          prompt: "Path of .wakatime.cfg (empty to disable)",
+          promptType: "text",
+          promptOptions: {
+            required: false,
+            placeholder: WakaConfig.DEFAULT_PATH,
+          },
+        },
+        {
+          key: IDLE_TIMEOUT,
+          text: "Idle Timeout (minutes)",
+          value: this.settings.idleTimeout ?? WakaActivity.DEFAULT_IDLE_TIMEOUT,
+          prompt: "Minutes without input before you count as idle",
+          promptType: "number",
+          promptOptions: {
+            required: true,
+            test: (value) => Number(value) > 0,
+          },
+        },
+        {
+          key: TRACK_ALL_FILES,
+          text: "Track Files Outside Folders",
+          checkbox: !!this.settings.trackAllFiles,
+        },
+        {
+          key: DEFAULT_PROJECT,
+          text: "Default Project",
+          value: this.settings.defaultProject ?? "",
+          prompt: "Project of files outside folders (empty for parent folder)",
+          promptType: "text",
+          promptOptions: {
+            required: false,
+          },
+        },
+        {
+          key: ENTITY_MODE,
+          text: "Privacy: File Names",
+          value: this.settings.entityMode ?? WakaPrivacy.ENTITY_FULL,
+          select: WakaPrivacy.ENTITY_MODES,
+        },
+        {
+          key: PROJECT_MAP,
+          text: "Privacy: Project Names Mapping",
+          value: this.settings.projectMap ?? "",
+          prompt: "One `project = alias` per line",
+          promptType: "textarea",
+          promptOptions: {
+            required: false,
+          },
+        },
+        {
+          key: LANGUAGE_MAP,
+          text: "Language Names Mapping",
+          value: this.settings.languageMap ?? "",
+          prompt: "One `file name, .ext or mode = Language` per line",
+          promptType: "textarea",
+          promptOptions: {
+            required: false,
+          },
+        },
+        {
+          key: AUTO_CATEGORY,
+          text: "Detect Category Automatically",
+          checkbox: !!this.settings.autoCategory,
+        },
+        {
+          key: CATEGORY_RULES,
+          text: "Category Rules",
+          value: this.settings.categoryRules || WakaCategory.DEFAULT_RULES,
+          prompt: "One `pattern = category` per line, first match wins",
+          promptType: "textarea",
+          promptOptions: {
+            required: false,
+          },
+        },
+        {
+          key: SHOW_INDICATOR,
+          text: "Show Today's Time In Header",
+          checkbox: !this.settings.hideIndicator,
+        },
+        {
+          key: COMMAND_KEYS,
+          text: "Command Shortcuts",
+          value: this.settings.commandKeys ?? "",
+          prompt: "One `command = Ctrl-Alt-Shift-X` per line",
+          promptType: "textarea",
+          promptOptions: {
+            required: false,
+          },
+        },
+        {
+          key: HIDE_BRANCH_NAMES,
+          text: "Privacy: Hide Branch Names",
+          checkbox: !!this.settings.hideBranchNames,
+        },
+        {
+          key: STRIP_USER_AGENT,
+          text: "Privacy: Send Plugin Name As User Agent",
+          checkbox: !!this.settings.stripUserAgent,
+        },
         {
           key: SAVE_QUEUE_AFTER_DESTROY,
           text: "Save Queue data after destroy",
@@ -98,21 +268,73 @@ export class Wakatime {
           key: CLEAR_QUEUE_DATA,
           text: "CLEAR Queue data",
         },
+        {
+          key: CLEAR_HISTORY,
+          text: "CLEAR Local history",
+        },
       ],
       cb: (key, value) => {
         switch (key) {
           case API_KEY:
-            this.apiKey = value.trim();
+            this.setApiKey(value);
             break;
           case ENDPOINT_KEY:
             this.endpointKey = value.trim();
+            this.api.resetAuth();
+            break;
+          case CONFIG_PATH:
+            this.settings.configPath = value.trim();
+            this.config.load().then(() => {
+              this.api.resetAuth();
+              this.api.flushPending();
+            });
+            break;
+          case IDLE_TIMEOUT:
+            this.settings.idleTimeout = Number(value);
+            break;
+          case TRACK_ALL_FILES:
+            this.settings.trackAllFiles = !this.settings.trackAllFiles;
+            break;
+          case DEFAULT_PROJECT:
+            this.settings.defaultProject = value.trim();
+            break;
+          case ENTITY_MODE:
+            this.settings.entityMode = value;
+            break;
+          case PROJECT_MAP:
+            this.settings.projectMap = value;
+            break;
+          case LANGUAGE_MAP:
+            this.settings.languageMap = value;
+            break;
+          case AUTO_CATEGORY:
+            this.settings.autoCategory = !this.settings.autoCategory;
+            break;
+          case CATEGORY_RULES:
+            this.settings.categoryRules = value.trim();
+            break;
+          case SHOW_INDICATOR:
+            this.settings.hideIndicator = !this.settings.hideIndicator;
+            this.indicator.toggle(this.indicator.enabled);
+            break;
+          case COMMAND_KEYS:
+            this.settings.commandKeys = value;
+            this.commands.register();
+            break;
+          case HIDE_BRANCH_NAMES:
+            this.settings.hideBranchNames = !this.settings.hideBranchNames;
+            break;
+          case STRIP_USER_AGENT:
+            this.settings.stripUserAgent = !this.settings.stripUserAgent;
             break;
           case SAVE_QUEUE_AFTER_DESTROY:
             this.settings.saveData = !this.settings.saveData;
             break;
           case CLEAR_QUEUE_DATA:
-            this.api.queue.clear();
-            this.offline.clear();
+            this.clearQueues();
+            break;
+          case CLEAR_HISTORY:
+            this.history.clear();
             break;
         }
         appSettings.update(false);
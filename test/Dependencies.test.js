@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import WakaDependencies from "../src/Dependencies.js";
+
+const dependencies = new WakaDependencies();
+
+describe("WakaDependencies", () => {
+  describe("js", () => {
+    it("finds imports, re-exports and requires of packages", () => {
+      const source = [
+        'import React, { useState } from "react";',
+        "import '@scope/pkg/style.css';",
+        'export { x } from "node:path";',
+        "const fs = require('fs-extra');",
+        "const lazy = await import(`lodash/fp`);",
+        'import local from "./local.js";',
+      ].join("\n");
+      assert.deepEqual(dependencies.extract(source, "app.js"), [
+        "react",
+        "@scope/pkg",
+        "path",
+        "fs-extra",
+        "lodash",
+      ]);
+    });
+
+    it("skips words and methods that only look like keywords", () => {
+      const source = [
+        "const important = 1; important from 'notadep';",
+        'obj.import("abc");',
+        'loader.require("def");',
+        'myrequire("ghi");',
+      ].join("\n");
+      assert.deepEqual(dependencies.extract(source, "app.ts"), []);
+    });
+  });
+
+  describe("php", () => {
+    it("finds use statements but not traits in class bodies", () => {
+      const source = [
+        "<?php",
+        "namespace App;",
+        "use Illuminate\\Support\\Str;",
+        "use function Monolog\\log;",
+        "class User extends Model implements Auth",
+        "{",
+        "    use HasFactory;",
+        "    public function name() { return Str::of($this->name); }",
+        "}",
+        "trait Greets {",
+        "    use Notifiable;",
+        "}",
+        "use Symfony\\Component\\Yaml;",
+      ].join("\n");
+      assert.deepEqual(dependencies.extract(source, "User.php"), [
+        "Illuminate",
+        "Monolog",
+        "Symfony",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+/**
+ * Minimal `on`/`off`/`emit` object, like Ace editors and the editor manager
+ */
+function createEmitter(props = {}) {
+  const listeners = new Map();
+  return {
+    ...props,
+    listeners,
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+    },
+    off(event, listener) {
+      listeners.get(event)?.delete(listener);
+    },
+    emit(event, ...args) {
+      for (const listener of [...(listeners.get(event) ?? [])]) {
+        listener(...args);
+      }
+    },
+    count(event) {
+      return listeners.get(event)?.size ?? 0;
+    },
+  };
+}
+
+function createAceSession({ lines = ["a", "b"], row = 0, column = 0 } = {}) {
+  return createEmitter({
+    $modeId: "ace/mode/javascript",
+    selection: { getCursor: () => ({ row, column }) },
+    getLength: () => lines.length,
+    getValue: () => lines.join("\n"),
+  });
+}
+
+function createAceEditor(session = createAceSession()) {
+  return createEmitter({ session });
+}
+
+function createCodeMirrorEditor(text = "one\ntwo\nthree", head = 5) {
+  const lines = text.split("\n");
+  const scrollDOM = new EventTarget();
+  return {
+    hasFocus: true,
+    scrollDOM,
+    state: {
+      selection: { main: { head } },
+      doc: {
+        lines: lines.length,
+        toString: () => text,
+        lineAt(pos) {
+          let from = 0;
+          for (const [i, line] of lines.entries()) {
+            if (pos <= from + line.length) return { number: i + 1, from };
+            from += line.length + 1;
+          }
+          return { number: lines.length, from };
+        },
+      },
+    },
+  };
+}
+
+globalThis.window = globalThis;
+globalThis.document = new EventTarget();
+globalThis.editorManager = createEmitter();
+
+const { default: WakaEditor } = await import("../src/Editor.js");
+
+describe("WakaEditor", () => {
+  let editor;
+
+  beforeEach(() => {
+    globalThis.editorManager = createEmitter({
+      editor: createAceEditor(),
+      isCodeMirror: false,
+      activeFile: null,
+    });
+  });
+
+  afterEach(() => {
+    editor?.destroy();
+    editor = null;
+  });
+
+  describe("sync", () => {
+    it("attaches to the current Ace editor", () => {
+      const ace = editorManager.editor;
+      editor = new WakaEditor();
+      assert.equal(editor.isCodeMirror, false);
+      assert.equal(ace.count("change"), 1);
+      assert.equal(ace.count("changeSelection"), 1);
+      assert.equal(ace.count("changeSession"), 1);
+      assert.equal(ace.session.count("changeScrollTop"), 1);
+      assert.equal(editor.sync(), false);
+    });
+
+    it("rebinds when the editor instance changes", () => {
+      const oldAce = editorManager.editor;
+      editor = new WakaEditor();
+      const changes = [];
+      editor.onChange = (change) => changes.push(change);
+
+      const newAce = createAceEditor();
+      editorManager.editor = newAce;
+      assert.equal(editor.sync(), true);
+
+      assert.equal(oldAce.count("change"), 0);
+      assert.equal(oldAce.count("changeSelection"), 0);
+      assert.equal(oldAce.count("changeSession"), 0);
+      assert.equal(oldAce.session.count("changeScrollTop"), 0);
+      assert.equal(newAce.count("change"), 1);
+
+      oldAce.emit("change", "old");
+      newAce.emit("change", "new");
+      assert.deepEqual(changes, ["new"]);
+    });
+
+    it("calls onRebind with the new editor only when it rebinds", () => {
+      editor = new WakaEditor();
+      const rebinds = [];
+      editor.onRebind = (instance) => rebinds.push(instance);
+
+      assert.equal(editor.sync(), false);
+      const newAce = createAceEditor();
+      editorManager.editor = newAce;
+      editor.sync();
+      editor.sync();
+      assert.deepEqual(rebinds, [newAce]);
+    });
+
+    it("rebinds on switch-file", () => {
+      editor = new WakaEditor();
+      const newAce = createAceEditor();
+      editorManager.editor = newAce;
+      editorManager.emit("switch-file", {});
+      assert.equal(newAce.count("change"), 1);
+    });
+
+    it("rebinds when the engine changes to CodeMirror", () => {
+      const ace = editorManager.editor;
+      editor = new WakaEditor();
+      let activities = 0;
+      const changes = [];
+      editor.onActivity = () => activities++;
+      editor.onChange = (change) => changes.push(change);
+
+      const cm = createCodeMirrorEditor();
+      editorManager.editor = cm;
+      editorManager.isCodeMirror = true;
+      assert.equal(editor.sync(), true);
+      assert.equal(editor.isCodeMirror, true);
+      assert.equal(ace.count("change"), 0);
+      assert.equal(editorManager.count("file-content-changed"), 1);
+
+      editorManager.emit("file-content-changed", "cm");
+      cm.scrollDOM.dispatchEvent(new Event("scroll"));
+      document.dispatchEvent(new Event("selectionchange"));
+      assert.deepEqual(changes, ["cm"]);
+      assert.equal(activities, 2);
+
+      cm.hasFocus = false;
+      document.dispatchEvent(new Event("selectionchange"));
+      assert.equal(activities, 2);
+    });
+
+    it("detaches from CodeMirror when the engine changes back", () => {
+      const cm = createCodeMirrorEditor();
+      editorManager.editor = cm;
+      editorManager.isCodeMirror = true;
+      editor = new WakaEditor();
+      let activities = 0;
+      editor.onActivity = () => activities++;
+
+      const ace = createAceEditor();
+      editorManager.editor = ace;
+      editorManager.isCodeMirror = false;
+      assert.equal(editor.sync(), true);
+
+      assert.equal(editorManager.count("file-content-changed"), 0);
+      cm.scrollDOM.dispatchEvent(new Event("scroll"));
+      document.dispatchEvent(new Event("selectionchange"));
+      assert.equal(activities, 0);
+      assert.equal(ace.count("change"), 1);
+    });
+
+    it("follows the scroll events of a new Ace session", () => {
+      const ace = editorManager.editor;
+      const oldSession = ace.session;
+      editor = new WakaEditor();
+      let activities = 0;
+      editor.onActivity = () => activities++;
+
+      const session = createAceSession();
+      ace.emit("changeSession", { session, oldSession });
+      oldSession.emit("changeScrollTop");
+      session.emit("changeScrollTop");
+      assert.equal(activities, 1);
+      assert.equal(oldSession.count("changeScrollTop"), 0);
+    });
+
+    it("detaches everything on destroy", () => {
+      const ace = editorManager.editor;
+      editor = new WakaEditor();
+      editor.destroy();
+      assert.equal(ace.count("change"), 0);
+      assert.equal(ace.session.count("changeScrollTop"), 0);
+      assert.equal(editorManager.count("switch-file"), 0);
+      editor = null;
+    });
+  });
+
+  describe("with Ace", () => {
+    it("reads the stats, language and content of a file", () => {
+      editor = new WakaEditor();
+      const session = createAceSession({
+        lines: ["a", "b", "c"],
+        row: 1,
+        column: 4,
+      });
+      const file = { session };
+      assert.deepEqual(editor.getStats(file), {
+        lines: 3,
+        line: 2,
+        cursorpos: 5,
+      });
+      assert.equal(editor.getLanguage(file), "javascript");
+      assert.equal(editor.getContent(file), "a\nb\nc");
+    });
+
+    it("returns nulls for files without a session", () => {
+      editor = new WakaEditor();
+      assert.deepEqual(editor.getStats({}), {
+        lines: null,
+        line: null,
+        cursorpos: null,
+      });
+      assert.equal(editor.getLanguage({}), null);
+      assert.equal(editor.getContent({}), null);
+    });
+  });
+
+  describe("with CodeMirror", () => {
+    beforeEach(() => {
+      editorManager.editor = createCodeMirrorEditor("one\ntwo\nthree", 5);
+      editorManager.isCodeMirror = true;
+    });
+
+    it("reads the stats, language and content of the active file", () => {
+      editor = new WakaEditor();
+      const file = { session: { language: "python" } };
+      editorManager.activeFile = file;
+      assert.deepEqual(editor.getStats(file), {
+        lines: 3,
+        line: 2,
+        cursorpos: 2,
+      });
+      assert.equal(editor.getLanguage(file), "python");
+      assert.equal(editor.getContent(file), "one\ntwo\nthree");
+    });
+
+    it("falls back to the extension for the language", () => {
+      editor = new WakaEditor();
+      assert.equal(editor.getLanguage({ ext: ".rs" }), "rs");
+      assert.equal(editor.getLanguage({}), null);
+    });
+
+    it("has no content for files not shown", () => {
+      editor = new WakaEditor();
+      editorManager.activeFile = { session: {} };
+      assert.equal(editor.getContent({ session: {} }), null);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import WakaKeyValues from "../src/KeyValues.js";
+
+describe("WakaKeyValues", () => {
+  it("parses the non empty pairs and skips other lines", () => {
+    const parser = new WakaKeyValues();
+    assert.deepEqual(
+      parser.parse("app = My App\n\nno separator\n = empty\nlib =\n a=b=c "),
+      { app: "My App", a: "b=c" },
+    );
+    assert.deepEqual(parser.parse(null), {});
+  });
+
+  it("splits on the last separator and lowercases the keys", () => {
+    const parser = new WakaKeyValues({ fromLast: true, lowerCaseKeys: true });
+    assert.deepEqual(parser.parse("A=B = C"), { "a=b": "C" });
+  });
+
+  it("passes every entry with its line to build", () => {
+    const parser = new WakaKeyValues({ build: (entries) => entries });
+    assert.deepEqual(parser.parse("a = 1\n = 2"), [
+      ["a", "1", "a = 1"],
+      ["", "2", " = 2"],
+    ]);
+  });
+
+  it("builds again only when the source changes", () => {
+    let builds = 0;
+    const parser = new WakaKeyValues({
+      build: (entries) => {
+        builds++;
+        return entries;
+      },
+    });
+    const first = parser.parse("a = 1");
+    assert.equal(parser.parse("a = 1"), first);
+    assert.equal(builds, 1);
+    assert.notEqual(parser.parse("a = 2"), first);
+    assert.equal(builds, 2);
+  });
+});